@@ -0,0 +1,183 @@
+const fs = require('fs');
+const readline = require('readline');
+const { ApiError } = require('./errors');
+
+// What an audit entry records: raw SQL, saved queries and plans, and writes through the table routes and GraphQL
+const AUDIT_ACTIONS = ['query', 'batch', 'explain', 'saved-query', 'insert', 'update', 'delete', 'import', 'graphql'];
+
+// Outcomes an entry can be filtered by
+const AUDIT_OUTCOMES = ['success', 'error'];
+
+// Longest SQL text kept in an entry; longer statements are cut
+const MAX_LOGGED_SQL = 10000;
+
+/**
+ * Parses a date filter of the audit log.
+ *
+ * @param {*} value - The raw value, undefined if absent.
+ * @param {string} name - The parameter name, for errors.
+ * @returns {number|null} The time in milliseconds, or null if absent.
+ * @throws {ApiError} If the value is not a date.
+ */
+function parseTime(value, name) {
+  if (value === undefined) {
+    return null;
+  }
+  const time = typeof value === 'string' ? Date.parse(value) : NaN;
+  if (Number.isNaN(time)) {
+    throw new ApiError(400, 'Bad Request', `'${name}' must be a date or time, e.g. 2024-05-01 or 2024-05-01T12:00:00Z`);
+  }
+  return time;
+}
+
+/**
+ * Reads the filters of an audit log request, given in the JSON:API filter family: `filter[user]`,
+ * `filter[ip]`, `filter[database]` and `filter[table]` match exactly, `filter[action]` takes a
+ * comma-separated list of actions, `filter[outcome]` is success or error, `filter[since]` and
+ * `filter[until]` bound the time, and `filter[statement]` matches entries whose SQL contains a text.
+ *
+ * @param {Object} query - The parsed query string.
+ * @returns {Object} The filters; absent ones are null.
+ * @throws {ApiError} If a filter is unknown or invalid.
+ */
+function parseAuditFilters(query) {
+  const filter = query.filter === undefined ? {} : query.filter;
+  if (filter === null || typeof filter !== 'object' || Array.isArray(filter)) {
+    throw new ApiError(400, 'Bad Request', "Filters are given as filter[name]=value, e.g. filter[user]=alice");
+  }
+  const known = ['user', 'ip', 'database', 'table', 'action', 'outcome', 'since', 'until', 'statement'];
+  for (const [name, value] of Object.entries(filter)) {
+    if (!known.includes(name)) {
+      throw new ApiError(400, 'Bad Request', `Unknown filter '${name}'; expected one of ${known.join(', ')}`);
+    }
+    if (typeof value !== 'string') {
+      throw new ApiError(400, 'Bad Request', `'filter[${name}]' must be given once, as a single value`);
+    }
+  }
+
+  const actions = filter.action === undefined ? null : filter.action.split(',').map(action => action.trim());
+  const unknown = (actions || []).filter(action => !AUDIT_ACTIONS.includes(action));
+  if (unknown.length > 0) {
+    throw new ApiError(400, 'Bad Request', `Unknown action(s) ${unknown.join(', ')}; expected ${AUDIT_ACTIONS.join(', ')}`);
+  }
+  if (filter.outcome !== undefined && !AUDIT_OUTCOMES.includes(filter.outcome)) {
+    throw new ApiError(400, 'Bad Request', `'filter[outcome]' must be one of ${AUDIT_OUTCOMES.join(', ')}`);
+  }
+
+  return {
+    user: filter.user === undefined ? null : filter.user,
+    ip: filter.ip === undefined ? null : filter.ip,
+    database: filter.database === undefined ? null : filter.database,
+    table: filter.table === undefined ? null : filter.table,
+    actions,
+    outcome: filter.outcome === undefined ? null : filter.outcome,
+    since: parseTime(filter.since, 'filter[since]'),
+    until: parseTime(filter.until, 'filter[until]'),
+    statement: filter.statement === undefined ? null : filter.statement.toLowerCase()
+  };
+}
+
+/**
+ * Tells whether an audit entry passes the filters.
+ *
+ * @param {Object} entry - The entry.
+ * @param {Object} filters - The filters from parseAuditFilters.
+ * @returns {boolean} Whether it passes.
+ */
+function matchesFilters(entry, filters) {
+  const time = Date.parse(entry.timestamp);
+  return (filters.user === null || entry.user === filters.user) &&
+    (filters.ip === null || entry.ip === filters.ip) &&
+    (filters.database === null || entry.database === filters.database) &&
+    (filters.table === null || entry.table === filters.table) &&
+    (filters.actions === null || filters.actions.includes(entry.action)) &&
+    (filters.outcome === null || entry.outcome === filters.outcome) &&
+    (filters.since === null || time >= filters.since) &&
+    (filters.until === null || time <= filters.until) &&
+    (filters.statement === null ||
+      (entry.statements || []).some(statement => String(statement.sql).toLowerCase().includes(filters.statement)));
+}
+
+/**
+ * Sums what executions from a connection's `execute` returned, for an audit entry.
+ *
+ * @param {Array<{results: Array<Object>}>} executions - The executions.
+ * @returns {{rowCount: (number|null), affectedRows: (number|null)}} The rows of the result sets and the
+ *   rows the other statements changed; null when there were none of the kind.
+ */
+function summarizeExecutions(executions) {
+  const results = executions.flatMap(execution => execution.results);
+  const sets = results.filter(result => result.rows);
+  const changes = results.filter(result => !result.rows);
+  return {
+    rowCount: sets.length > 0 ? sets.reduce((sum, result) => sum + result.rows.length, 0) : null,
+    affectedRows: changes.length > 0 ? changes.reduce((sum, result) => sum + (Number(result.affectedRows) || 0), 0) : null
+  };
+}
+
+/**
+ * Opens the audit log, an append-only file holding one JSON entry per line. Entries are never changed
+ * or removed; an entry's id is its line number. Appends are written one at a time, in order.
+ *
+ * @param {string} file - The path of the log file, created if missing.
+ * @returns {Object} The log: `file`, `record(entry)` (resolving once the entry is written) and
+ *   `read(filters)` (resolving to the matching entries with their ids, oldest first).
+ * @throws {Error} If the file cannot be opened for appending.
+ */
+function createAuditLog(file) {
+  try {
+    const fd = fs.openSync(file, 'a+');
+    try {
+      // A line cut short by a crash is ended, so the next entry starts a line of its own
+      const { size } = fs.fstatSync(fd);
+      const last = Buffer.alloc(1);
+      if (size > 0 && fs.readSync(fd, last, 0, 1, size - 1) === 1 && last[0] !== 0x0a) {
+        fs.writeSync(fd, '\n');
+      }
+    } finally {
+      fs.closeSync(fd);
+    }
+  } catch (error) {
+    throw new Error(`Could not open audit log ${file}: ${error.message}`);
+  }
+
+  let writing = Promise.resolve();
+
+  return {
+    file,
+
+    record(entry) {
+      const statements = entry.statements && entry.statements.map(statement => {
+        const sql = String(statement.sql);
+        return { ...statement, sql: sql.length > MAX_LOGGED_SQL ? `${sql.slice(0, MAX_LOGGED_SQL)}…` : sql };
+      });
+      const line = `${JSON.stringify({ ...entry, statements })}\n`;
+      writing = writing.catch(() => {}).then(() => fs.promises.appendFile(file, line));
+      return writing;
+    },
+
+    async read(filters) {
+      // Entries being appended are written before reading, so a request sees the ones before it
+      await writing.catch(() => {});
+      const entries = [];
+      const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+      let id = 0;
+      for await (const line of lines) {
+        id++;
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (error) {
+          // A line cut short by a crash; the ids of the lines after it stay the same
+          continue;
+        }
+        if (entry && matchesFilters(entry, filters)) {
+          entries.push({ id: String(id), ...entry });
+        }
+      }
+      return entries;
+    }
+  };
+}
+
+module.exports = { AUDIT_ACTIONS, createAuditLog, parseAuditFilters, summarizeExecutions };
@@ -0,0 +1,261 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { sendError } = require('./errors');
+
+// Roles from least to most privileged; each role may do everything the roles before it may
+const ROLES = ['viewer', 'editor', 'admin'];
+
+// Statement kinds each role may run through /api/query (null: whatever the server allows)
+const ROLE_STATEMENTS = {
+  viewer: ['read'],
+  editor: ['read', 'dml'],
+  admin: null
+};
+
+/**
+ * Hashes a secret so that comparisons take the same time whatever the input length.
+ *
+ * @param {string} secret - The secret.
+ * @returns {Buffer} The SHA-256 digest.
+ */
+function digest(secret) {
+  return crypto.createHash('sha256').update(String(secret)).digest();
+}
+
+/**
+ * Checks a presented secret against a configured one in constant time.
+ * Configured secrets are either plain text or `sha256:<hex digest>`.
+ *
+ * @param {string} presented - The secret sent by the client.
+ * @param {string} configured - The secret from the auth configuration.
+ * @returns {boolean} Whether they match.
+ */
+function secretMatches(presented, configured) {
+  const expected = configured.startsWith('sha256:')
+    ? Buffer.from(configured.slice('sha256:'.length), 'hex')
+    : digest(configured);
+  const actual = digest(presented);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Tests a table name against glob patterns where `*` matches any run of characters.
+ *
+ * @param {string} tableName - The table name.
+ * @param {string[]} patterns - The patterns.
+ * @returns {boolean} Whether any pattern matches.
+ */
+function matchesAny(tableName, patterns) {
+  return patterns.some(pattern => {
+    const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${source}$`).test(tableName);
+  });
+}
+
+/**
+ * Reads and validates an auth configuration file:
+ *
+ *     {
+ *       "corsOrigins": ["https://admin.example.com"],
+ *       "users": [
+ *         { "name": "alice", "password": "sha256:<hex>", "role": "admin" },
+ *         { "name": "reports", "token": "<random token>", "role": "viewer",
+ *           "databases": ["reporting", "staging_*"],
+ *           "tables": { "allow": ["orders*"], "deny": ["orders_secret"] } }
+ *       ]
+ *     }
+ *
+ * Users authenticate with HTTP basic auth (name and password) or a bearer token.
+ *
+ * @param {string} file - The path of the JSON file.
+ * @returns {Object} The configuration.
+ * @throws {Error} If the file cannot be read or is invalid.
+ */
+function loadAuthConfig(file) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read auth configuration ${file}: ${error.message}`);
+  }
+
+  if (!config || !Array.isArray(config.users) || config.users.length === 0) {
+    throw new Error(`Auth configuration ${file} must list at least one user in "users"`);
+  }
+  for (const user of config.users) {
+    if (!user || typeof user.name !== 'string' || !user.name) {
+      throw new Error(`Auth configuration ${file}: every user needs a "name"`);
+    }
+    if (!ROLES.includes(user.role)) {
+      throw new Error(`Auth configuration ${file}: user '${user.name}' has role '${user.role}', ` +
+        `expected one of ${ROLES.join(', ')}`);
+    }
+    if (typeof user.password !== 'string' && typeof user.token !== 'string') {
+      throw new Error(`Auth configuration ${file}: user '${user.name}' needs a "password" or a "token"`);
+    }
+    if (user.databases !== undefined && !(Array.isArray(user.databases) && user.databases.every(p => typeof p === 'string'))) {
+      throw new Error(`Auth configuration ${file}: "databases" of user '${user.name}' must be a list of database names`);
+    }
+    const tables = user.tables || {};
+    for (const list of ['allow', 'deny']) {
+      if (tables[list] !== undefined && !(Array.isArray(tables[list]) && tables[list].every(p => typeof p === 'string'))) {
+        throw new Error(`Auth configuration ${file}: "tables.${list}" of user '${user.name}' must be a list of table names`);
+      }
+    }
+  }
+  return config;
+}
+
+/**
+ * Creates the authentication and authorization middleware for an auth configuration.
+ * Without a configuration every request is let through unauthenticated with full access,
+ * and `req.user` stays undefined.
+ *
+ * @param {Object|null} config - The configuration from loadAuthConfig, or null to disable auth.
+ * @returns {Object} The middleware and access checks.
+ */
+function createAuth(config) {
+  const users = config ? config.users : [];
+
+  /**
+   * Finds the user matching the Authorization header of a request.
+   *
+   * @param {string} [header] - The Authorization header.
+   * @returns {Object|undefined} The user, or undefined if the credentials are missing or wrong.
+   */
+  function identify(header) {
+    const [scheme, credentials] = (header || '').split(/\s+/, 2);
+    if (!credentials) {
+      return undefined;
+    }
+    if (/^bearer$/i.test(scheme)) {
+      return users.find(user => typeof user.token === 'string' && secretMatches(credentials, user.token));
+    }
+    if (/^basic$/i.test(scheme)) {
+      const decoded = Buffer.from(credentials, 'base64').toString('utf8');
+      const separator = decoded.indexOf(':');
+      if (separator === -1) {
+        return undefined;
+      }
+      const name = decoded.slice(0, separator);
+      const password = decoded.slice(separator + 1);
+      const user = users.find(candidate => candidate.name === name && typeof candidate.password === 'string');
+      return user && secretMatches(password, user.password) ? user : undefined;
+    }
+    return undefined;
+  }
+
+  /**
+   * Whether a user has at least the given role. Without auth there is no user and everything is allowed.
+   *
+   * @param {Object|undefined} user - The authenticated user.
+   * @param {string} role - The minimum role.
+   * @returns {boolean} Whether the user's role suffices.
+   */
+  function hasRole(user, role) {
+    return !user || ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+  }
+
+  /**
+   * Whether a user may access a table according to their allow/deny rules.
+   *
+   * @param {Object|undefined} user - The authenticated user.
+   * @param {string} tableName - The table name.
+   * @returns {boolean} Whether the table is accessible.
+   */
+  function canAccessTable(user, tableName) {
+    if (!user || !user.tables) {
+      return true;
+    }
+    const { allow, deny = [] } = user.tables;
+    return (!allow || matchesAny(tableName, allow)) && !matchesAny(tableName, deny);
+  }
+
+  /**
+   * Whether a user may browse a database according to their `databases` patterns.
+   *
+   * @param {Object|undefined} user - The authenticated user.
+   * @param {string} databaseName - The database name.
+   * @returns {boolean} Whether the database is accessible.
+   */
+  function canAccessDatabase(user, databaseName) {
+    return !user || !user.databases || matchesAny(databaseName, user.databases);
+  }
+
+  return {
+    enabled: Boolean(config),
+    corsOrigins: config ? config.corsOrigins || false : true,
+    hasRole,
+    canAccessTable,
+    canAccessDatabase,
+
+    /**
+     * Whether a user's table or database rules restrict them to some tables. Raw SQL cannot be
+     * checked against these rules, so such users may not use /api/query.
+     *
+     * @param {Object|undefined} user - The authenticated user.
+     * @returns {boolean} Whether the user has table or database rules.
+     */
+    hasTableRules: user => Boolean(user && (user.tables || user.databases)),
+
+    /**
+     * Narrows the statement kinds the server allows to those the user's role may run.
+     *
+     * @param {Object|undefined} user - The authenticated user.
+     * @param {string[]} allow - The statement kinds the server allows (see guard.js).
+     * @returns {string[]} The statement kinds the user may run.
+     */
+    allowedStatements(user, allow) {
+      const kinds = user && ROLE_STATEMENTS[user.role];
+      return kinds ? allow.filter(kind => kind === 'multi' || kinds.includes(kind)) : allow;
+    },
+
+    /**
+     * Middleware authenticating every request, answering 401 if the credentials are missing or wrong.
+     */
+    authenticate(req, res, next) {
+      if (!config) {
+        return next();
+      }
+      const user = identify(req.get('Authorization'));
+      if (!user) {
+        res.set('WWW-Authenticate', 'Basic realm="sqlbrowser", charset="UTF-8"');
+        return sendError(res, 401, 'Unauthorized',
+          req.get('Authorization') ? 'Invalid credentials' : 'Authentication required: send HTTP basic credentials or a bearer token',
+          'unauthenticated');
+      }
+      req.user = { name: user.name, role: user.role, tables: user.tables, databases: user.databases };
+      next();
+    },
+
+    /**
+     * Creates middleware answering 403 unless the user has at least the given role.
+     *
+     * @param {string} role - The minimum role.
+     * @returns {Function} The middleware.
+     */
+    requireRole(role) {
+      return (req, res, next) => {
+        if (!hasRole(req.user, role)) {
+          return sendError(res, 403, 'Forbidden',
+            `This action requires the ${role} role, but user '${req.user.name}' is a ${req.user.role}`,
+            'insufficient-role');
+        }
+        next();
+      };
+    },
+
+    /**
+     * Route parameter handler answering 403 if the user may not access the named table.
+     */
+    checkTable(req, res, next, tableName) {
+      if (!canAccessTable(req.user, tableName)) {
+        return sendError(res, 403, 'Forbidden',
+          `User '${req.user.name}' may not access table '${tableName}'`, 'table-denied');
+      }
+      next();
+    }
+  };
+}
+
+module.exports = { ROLES, loadAuthConfig, createAuth };
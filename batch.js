@@ -0,0 +1,105 @@
+const { Serializer } = require('jsonapi-serializer');
+const { ApiError } = require('./errors');
+const { bindParameters } = require('./params');
+const { statementResult } = require('./results');
+
+// Statements accepted in one batch
+const MAX_BATCH_STATEMENTS = 1000;
+
+/**
+ * Validates the statements of a batch request before any of them runs: each entry must hold exactly one
+ * statement the user may run, other than transaction control (the batch is its own transaction), with
+ * parameters matching its placeholders.
+ *
+ * @param {Array<string|Object>} statements - The `statements` of the request body: SQL strings or
+ *   `{ query, params }` objects.
+ * @param {Object} options
+ * @param {function(string): Array<Object>} options.checkStatements - The statement guard (see guard.js).
+ * @param {string} options.dialect - The SQL dialect (a driver name).
+ * @returns {Array<{query: string, kind: string, sql: string, params: Array}>} The statements ready to run.
+ * @throws {ApiError} If the batch or one of its statements is invalid or not allowed.
+ */
+function prepareBatch(statements, { checkStatements, dialect }) {
+  if (!Array.isArray(statements) || statements.length === 0) {
+    throw new ApiError(400, 'Bad Request', 'Missing "statements" in request body: a non-empty array of statements');
+  }
+  if (statements.length > MAX_BATCH_STATEMENTS) {
+    throw new ApiError(400, 'Bad Request', `A batch holds at most ${MAX_BATCH_STATEMENTS} statements, got ${statements.length}`);
+  }
+
+  return statements.map((statement, i) => {
+    const { query, params } = typeof statement === 'string' ? { query: statement } : statement || {};
+    try {
+      if (typeof query !== 'string' || query.trim() === '') {
+        throw new ApiError(400, 'Bad Request', 'Missing "query": give a SQL string or an object with "query" and "params"');
+      }
+      const classified = checkStatements(query);
+      if (classified.length > 1) {
+        throw new ApiError(400, 'Bad Request', `It holds ${classified.length} statements; give one statement per entry`);
+      }
+      if (classified[0].kind === 'transaction') {
+        throw new ApiError(400, 'Bad Request',
+          `${classified[0].keyword} is transaction control, but the batch already runs in one transaction`);
+      }
+      return { query, kind: classified[0].kind, ...bindParameters(query, params, dialect) };
+    } catch (err) {
+      if (err instanceof ApiError) {
+        throw new ApiError(err.status, err.title, `Batch statement ${i + 1}: ${err.message}`, err.code);
+      }
+      throw err;
+    }
+  });
+}
+
+/**
+ * Runs prepared batch statements in one transaction, so either all of them take effect or none does.
+ *
+ * @param {Object} conn - A driver connection.
+ * @param {Array<Object>} statements - The statements from prepareBatch.
+ * @returns {Promise<Array<Object>>} The outcome of each statement from the connection's `execute`.
+ * @throws {Error} The error of the failing statement, with `statementIndex` set to its index.
+ */
+async function runBatch(conn, statements) {
+  return conn.transaction(async () => {
+    const results = [];
+    for (const [i, statement] of statements.entries()) {
+      try {
+        results.push(await conn.execute(statement.sql, statement.params));
+      } catch (err) {
+        err.statementIndex = i;
+        throw err;
+      }
+    }
+    return results;
+  });
+}
+
+/**
+ * Serializes the results of a batch as a JSON:API document with one resource per statement:
+ * the columns and rows of statements returning rows, otherwise the number of affected rows and the
+ * insert id, along with the statement's warnings.
+ *
+ * @param {Array<Object>} statements - The statements from prepareBatch.
+ * @param {Array} results - The results from runBatch.
+ * @param {Object} [meta] - Top-level meta information.
+ * @returns {Object} The JSON:API document.
+ */
+function serializeBatchResults(statements, results, meta) {
+  const records = statements.map((statement, i) => ({
+    id: String(i + 1),
+    query: statement.query,
+    kind: statement.kind,
+    // Each entry holds a single statement, so it has a single result
+    ...statementResult(results[i].results[0]),
+    warnings: results[i].warnings
+  }));
+
+  const serializer = new Serializer('batch-result', {
+    attributes: ['query', 'kind', 'columns', 'rowCount', 'rows', 'affectedRows', 'insertId', 'warnings'],
+    keyForAttribute: 'camelCase',
+    meta
+  });
+  return serializer.serialize(records);
+}
+
+module.exports = { prepareBatch, runBatch, serializeBatchResults };
@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+
+// Most entries the metadata cache holds; the least recently used go first
+const MAX_ENTRIES = 1000;
+
+/**
+ * Wraps a driver so that what it reads about tables is kept for a while: the table list, table
+ * schemas and row counts (exact and estimated). Pages polled over and over then cost the database
+ * only their rows. Entries expire after the TTL, and are dropped sooner with `invalidate` when the
+ * API writes to a table or runs raw SQL; changes made by other clients of the database show after
+ * the TTL at the latest. Connections of the wrapped driver carry the `database` they work on.
+ *
+ * @param {Object} driver - The database driver.
+ * @param {Object} [options]
+ * @param {number} [options.ttl=0] - Milliseconds an entry is kept; 0 keeps nothing.
+ * @param {number} [options.maxEntries=MAX_ENTRIES] - Most entries kept.
+ * @returns {Object} The driver, with `invalidate(database, table)` dropping what is kept of a table,
+ *   or of every table of the database when table is omitted.
+ */
+function cacheDriver(driver, { ttl = 0, maxEntries = MAX_ENTRIES } = {}) {
+  // Entries in order of use, the least recent first: { database, table, value (a promise), expires }
+  const entries = new Map();
+
+  /**
+   * Reads a value from the cache, or loads and keeps it. Failed loads are not kept.
+   *
+   * @param {Object} conn - The connection, from the wrapped driver.
+   * @param {string|null} table - The table the value is about, null for the whole database.
+   * @param {Array} parts - What identifies the value within the database.
+   * @param {function(): Promise<*>} load - Loads the value.
+   * @returns {Promise<*>} A copy of the value, which the caller may change.
+   */
+  const cached = async (conn, table, parts, load) => {
+    if (ttl <= 0) {
+      return load();
+    }
+    const key = JSON.stringify([conn.database, table, ...parts]);
+    let entry = entries.get(key);
+    if (entry && entry.expires <= Date.now()) {
+      entries.delete(key);
+      entry = undefined;
+    }
+    if (entry) {
+      // Moved to the end, as the most recently used
+      entries.delete(key);
+    } else {
+      entry = { database: conn.database, table, value: load(), expires: Date.now() + ttl };
+      entry.value.catch(() => entries.delete(key));
+      if (entries.size >= maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    }
+    entries.set(key, entry);
+    return structuredClone(await entry.value);
+  };
+
+  return Object.assign(Object.create(driver), {
+    async getConnection(database) {
+      const conn = await driver.getConnection(database);
+      conn.database = database === undefined ? driver.database : database;
+      return conn;
+    },
+
+    listTables(conn) {
+      return cached(conn, null, ['tables'], () => driver.listTables(conn));
+    },
+
+    getTableSchema(conn, tableName) {
+      return cached(conn, tableName, ['schema'], () => driver.getTableSchema(conn, tableName));
+    },
+
+    countRows(conn, tableName, where, params) {
+      return cached(conn, tableName, ['count', where, params], () => driver.countRows(conn, tableName, where, params));
+    },
+
+    estimateRows(conn, tableName) {
+      return cached(conn, tableName, ['estimate'], () => driver.estimateRows(conn, tableName));
+    },
+
+    invalidate(database, table) {
+      for (const [key, entry] of entries) {
+        if (entry.database === database && (table === undefined || entry.table === table)) {
+          entries.delete(key);
+        }
+      }
+    }
+  });
+}
+
+/**
+ * Sets the validators of a response built from a table, from the time the table last changed: a
+ * Last-Modified header and an ETag naming the time and what else the response depends on (the URL,
+ * user, ...). A conditional request can then be answered with 304 before any row is read. Cache-Control
+ * makes browsers revalidate every time rather than guess how long the response stays fresh.
+ *
+ * @param {Object} res - The Express response.
+ * @param {Date} modified - When the table last changed.
+ * @param {Array} variant - What else the response depends on.
+ */
+function setTableValidators(res, modified, variant) {
+  const hash = crypto.createHash('sha1').update(JSON.stringify([modified.getTime(), ...variant])).digest('base64url');
+  res.set({
+    ETag: `W/"${hash}"`,
+    'Last-Modified': modified.toUTCString(),
+    'Cache-Control': 'no-cache'
+  });
+}
+
+module.exports = { cacheDriver, setTableValidators };
@@ -1,19 +1,64 @@
 // Main application state
 const state = {
+    database: null,
     currentTable: null,
     currentPage: 1,
+    currentUrl: null,
     pageSize: 50,
-    totalPages: 1
+    totalPages: null,
+    // The event stream of the table watched by the live toggle, and the table it watches
+    liveEvents: null,
+    liveTable: null
 };
 
 // DOM Elements
 const elements = {
     apiInfo: document.getElementById('api-info'),
+    databaseSelect: document.getElementById('database-select'),
     tablesList: document.getElementById('tables-list'),
+    savedQueriesList: document.getElementById('saved-queries-list'),
     tableData: document.getElementById('table-data'),
-    pagination: document.getElementById('pagination')
+    openImport: document.getElementById('open-import'),
+    liveToggle: document.getElementById('live-toggle'),
+    liveUpdates: document.getElementById('live-updates'),
+    pagination: document.getElementById('pagination'),
+    sqlInput: document.getElementById('sql-input'),
+    sqlHighlight: document.getElementById('sql-highlight'),
+    runQuery: document.getElementById('run-query'),
+    explainQuery: document.getElementById('explain-query'),
+    explainAnalyze: document.getElementById('explain-analyze'),
+    queryStatus: document.getElementById('query-status'),
+    queryResults: document.getElementById('query-results'),
+    queryHistory: document.getElementById('query-history'),
+    clearHistory: document.getElementById('clear-history'),
+    importDialog: document.getElementById('import-dialog'),
+    importForm: document.getElementById('import-form'),
+    importTitle: document.getElementById('import-title'),
+    importReport: document.getElementById('import-report'),
+    importDryRun: document.getElementById('import-dry-run'),
+    importRun: document.getElementById('import-run')
 };
 
+// localStorage key and size of the SQL console history
+const HISTORY_KEY = 'sqlbrowser.queryHistory';
+const HISTORY_LIMIT = 50;
+
+// Import formats by file extension
+const IMPORT_FORMATS = { csv: 'csv', ndjson: 'ndjson', jsonl: 'ndjson', json: 'json' };
+
+// Keywords highlighted in the SQL console
+const SQL_KEYWORDS = [
+    'SELECT', 'FROM', 'WHERE', 'AND', 'OR', 'NOT', 'IN', 'IS', 'NULL', 'LIKE', 'BETWEEN', 'EXISTS',
+    'INSERT', 'INTO', 'VALUES', 'UPDATE', 'SET', 'DELETE', 'REPLACE', 'CREATE', 'ALTER', 'DROP', 'TABLE',
+    'VIEW', 'INDEX', 'JOIN', 'INNER', 'LEFT', 'RIGHT', 'FULL', 'OUTER', 'CROSS', 'ON', 'USING', 'AS',
+    'GROUP', 'BY', 'ORDER', 'HAVING', 'LIMIT', 'OFFSET', 'ASC', 'DESC', 'DISTINCT', 'UNION', 'ALL',
+    'CASE', 'WHEN', 'THEN', 'ELSE', 'END', 'WITH', 'RECURSIVE', 'EXPLAIN', 'SHOW', 'DESCRIBE', 'PRAGMA',
+    'BEGIN', 'COMMIT', 'ROLLBACK', 'PRIMARY', 'KEY', 'FOREIGN', 'REFERENCES', 'DEFAULT', 'TRUE', 'FALSE'
+];
+
+// Comments, literals, quoted identifiers, numbers and words of SQL text, for highlighting
+const SQL_TOKEN_PATTERN = /(--[^\n]*|#[^\n]*|\/\*[\s\S]*?(?:\*\/|$))|('(?:[^'\\]|\\.|'')*'?)|("(?:[^"]|"")*"?|`(?:[^`]|``)*`?)|(\b\d+(?:\.\d+)?\b)|([A-Za-z_]\w*)/g;
+
 // Initialize the application
 async function init() {
     try {
@@ -21,12 +66,24 @@ async function init() {
         const apiInfo = await fetchApiInfo();
         renderApiInfo(apiInfo);
 
+        // Then the databases, browsing the default one first
+        const databases = await fetchDatabases();
+        renderDatabases(databases);
+
         // Then load tables
         const tables = await fetchTables();
         renderTables(tables);
+
+        // And the saved queries
+        const savedQueries = await fetchSavedQueries();
+        renderSavedQueries(savedQueries);
     } catch (error) {
         showError(error.message);
     }
+
+    initSqlConsole();
+    initImportDialog();
+    initLiveToggle();
 }
 
 // Fetch API info from /api endpoint
@@ -38,18 +95,41 @@ async function fetchApiInfo() {
     return await response.json();
 }
 
-// Fetch list of tables from /api/tables endpoint
+// Base path of the routes for the selected database
+function apiBase() {
+    return state.database === null ? '/api' : `/api/databases/${encodeURIComponent(state.database)}`;
+}
+
+// Fetch list of databases from /api/databases endpoint
+async function fetchDatabases() {
+    const response = await fetch('/api/databases');
+    if (!response.ok) {
+        throw new Error('Failed to fetch databases');
+    }
+    return await response.json();
+}
+
+// Fetch list of tables of the selected database
 async function fetchTables() {
-    const response = await fetch('/api/tables');
+    const response = await fetch(`${apiBase()}/tables`);
     if (!response.ok) {
         throw new Error('Failed to fetch tables');
     }
     return await response.json();
 }
 
-// Fetch table data with pagination
-async function fetchTableData(tableName, page = 1, limit = 50) {
-    const response = await fetch(`/api/tables/${tableName}?page=${page}&limit=${limit}`);
+// Fetch the saved queries from /api/saved-queries
+async function fetchSavedQueries() {
+    const response = await fetch('/api/saved-queries');
+    if (!response.ok) {
+        throw new Error('Failed to fetch saved queries');
+    }
+    return await response.json();
+}
+
+// Fetch a page of table data, from the first page URL or a pagination link
+async function fetchTableData(tableName, url) {
+    const response = await fetch(url);
     if (!response.ok) {
         throw new Error(`Failed to fetch data for table ${tableName}`);
     }
@@ -58,19 +138,64 @@ async function fetchTableData(tableName, page = 1, limit = 50) {
 
 // Render API info
 function renderApiInfo(apiInfo) {
-    const { api, version, database, endpoints } = apiInfo.data.attributes;
+    const { api, version, database, endpoints, user } = apiInfo.data.attributes;
     
     elements.apiInfo.innerHTML = `
         <h3>${api} v${version}</h3>
-        <p>Connected to database: <strong>${database}</strong></p>
+        <p>Connected to database: <strong>${database || '(none)'}</strong></p>
+        ${user ? `<p>Signed in as <strong>${user.name}</strong> (${user.role})</p>` : ''}
         <p>Available endpoints:</p>
         <ul>
+            <li><code>GET ${endpoints.databases}</code> - List databases</li>
             <li><code>GET ${endpoints.tables}</code> - List tables</li>
             <li><code>GET ${endpoints.tableData}</code> - View table data</li>
+            <li><code>GET ${endpoints.tableSchema}</code> - View table schema</li>
+            <li><code>GET ${endpoints.search}?q=text</code> - Search the text columns of every table</li>
+            <li><code>GET ${endpoints.schema}?format=sql</code> - Download the schema as a DDL script</li>
+            <li><code>POST ${endpoints.query}</code> - Run SQL (see the SQL console below)</li>
+            <li><code>GET ${endpoints.savedQueries}</code> - List saved queries</li>
+            <li><code>POST ${endpoints.graphql}</code> - Query and change the tables with GraphQL</li>
         </ul>
     `;
 }
 
+// Render the database switcher, selecting the default database (or the first one if there is none)
+function renderDatabases(databases) {
+    elements.databaseSelect.innerHTML = '';
+    
+    databases.data.forEach(database => {
+        const option = document.createElement('option');
+        option.value = database.attributes.name;
+        option.textContent = database.attributes.name;
+        elements.databaseSelect.appendChild(option);
+    });
+    
+    const selected = databases.data.find(database => database.attributes.default) || databases.data[0];
+    if (selected) {
+        state.database = selected.attributes.name;
+        elements.databaseSelect.value = state.database;
+    }
+    elements.databaseSelect.onchange = () => switchDatabase(elements.databaseSelect.value);
+}
+
+// Switch to another database and list its tables
+async function switchDatabase(database) {
+    state.database = database;
+    state.currentTable = null;
+    elements.openImport.hidden = true;
+    elements.liveToggle.hidden = true;
+    stopWatching();
+    elements.tableData.innerHTML = '';
+    elements.pagination.innerHTML = '';
+    
+    try {
+        showLoading('#tables-list');
+        renderTables(await fetchTables());
+    } catch (error) {
+        showError(error.message, '#tables-list');
+    }
+}
+
 // Render list of tables
 function renderTables(tables) {
     elements.tablesList.innerHTML = '';
@@ -79,34 +204,242 @@ function renderTables(tables) {
         const tableCard = document.createElement('div');
         tableCard.className = 'table-card';
         tableCard.textContent = table.attributes.name;
-        tableCard.addEventListener('click', () => loadTableData(table.attributes.name));
+        tableCard.addEventListener('click', () => {
+            state.totalPages = null;
+            loadTableData(table.attributes.name);
+        });
         elements.tablesList.appendChild(tableCard);
     });
 }
 
-// Load and render table data
-async function loadTableData(tableName, page = 1) {
+// Render list of saved queries; clicking one opens its parameter form
+function renderSavedQueries(savedQueries) {
+    elements.savedQueriesList.innerHTML = '';
+    
+    if (savedQueries.data.length === 0) {
+        elements.savedQueriesList.textContent = 'No saved queries';
+        return;
+    }
+    savedQueries.data.forEach(savedQuery => {
+        const card = document.createElement('div');
+        card.className = 'table-card';
+        card.textContent = savedQuery.id;
+        card.title = savedQuery.attributes.description || savedQuery.attributes.sql;
+        card.addEventListener('click', () => showSavedQuery(savedQuery));
+        elements.savedQueriesList.appendChild(card);
+    });
+}
+
+// Show a saved query in the table data section, with an input for each parameter
+function showSavedQuery(savedQuery) {
+    const { description, sql, parameters } = savedQuery.attributes;
+    state.currentTable = null;
+    elements.openImport.hidden = true;
+    elements.liveToggle.hidden = true;
+    stopWatching();
+    elements.tableData.innerHTML = '';
+    elements.pagination.innerHTML = '';
+    
+    const heading = document.createElement('h3');
+    heading.textContent = savedQuery.id;
+    elements.tableData.appendChild(heading);
+    if (description) {
+        const text = document.createElement('p');
+        text.textContent = description;
+        elements.tableData.appendChild(text);
+    }
+    const code = document.createElement('pre');
+    code.className = 'saved-query-sql';
+    code.innerHTML = highlightSql(sql);
+    elements.tableData.appendChild(code);
+    
+    const form = document.createElement('form');
+    form.className = 'saved-query-form';
+    parameters.forEach(parameter => {
+        const label = document.createElement('label');
+        label.textContent = `${parameter.name} (${parameter.type}${parameter.required ? '' : ', optional'})`;
+        if (parameter.description) {
+            label.title = parameter.description;
+        }
+        let input;
+        if (parameter.type === 'boolean') {
+            input = document.createElement('select');
+            ['', 'true', 'false'].forEach(value => input.add(new Option(value, value)));
+        } else {
+            input = document.createElement('input');
+            input.type = { integer: 'number', number: 'number', date: 'date' }[parameter.type] || 'text';
+            if (parameter.type === 'number') {
+                input.step = 'any';
+            }
+        }
+        input.name = parameter.name;
+        input.required = parameter.required;
+        if (parameter.default !== null) {
+            input.value = String(parameter.default);
+        }
+        label.appendChild(input);
+        form.appendChild(label);
+    });
+    const runButton = document.createElement('button');
+    runButton.type = 'submit';
+    runButton.textContent = 'Run';
+    form.appendChild(runButton);
+    const status = document.createElement('span');
+    status.className = 'query-status';
+    form.appendChild(status);
+    elements.tableData.appendChild(form);
+    
+    const results = document.createElement('div');
+    elements.tableData.appendChild(results);
+    form.addEventListener('submit', event => {
+        event.preventDefault();
+        runSavedQuery(savedQuery, form, status, results);
+    });
+}
+
+// Run a saved query with the values of its form; empty optional parameters take their default
+async function runSavedQuery(savedQuery, form, status, results) {
+    const params = new URLSearchParams();
+    new FormData(form).forEach((value, name) => {
+        if (value !== '') {
+            params.append(name, value);
+        }
+    });
+    
+    status.textContent = 'Running...';
+    const started = performance.now();
+    try {
+        const response = await fetch(`${apiBase()}/saved-queries/${encodeURIComponent(savedQuery.id)}/results?${params}`);
+        const body = await response.json().catch(() => null);
+        const elapsed = Math.round(performance.now() - started);
+        
+        if (!response.ok || !body || body.errors) {
+            status.textContent = `Failed after ${elapsed} ms`;
+            showQueryErrors(body && body.errors, response.status, results);
+            return;
+        }
+        
+        status.textContent = `${summarizeResult(body.meta)} in ${body.meta.executionTimeMs} ms (${elapsed} ms round trip)`;
+        renderQueryResults(body, results);
+    } catch (error) {
+        status.textContent = '';
+        showQueryErrors([{ status: '0', title: 'Network Error', detail: error.message }], 0, results);
+    }
+}
+
+// Load and render a page of table data; the page number is tracked here because cursor pages do not report it
+async function loadTableData(tableName, url = `${apiBase()}/tables/${encodeURIComponent(tableName)}?page[size]=${state.pageSize}`, page = 1) {
     try {
         state.currentTable = tableName;
         state.currentPage = page;
+        state.currentUrl = url;
+        elements.openImport.hidden = false;
+        elements.liveToggle.hidden = false;
+        if (elements.liveUpdates.checked) {
+            watchTable(tableName);
+        }
         
         showLoading('#table-data');
         
-        const data = await fetchTableData(tableName, page, state.pageSize);
+        const data = await fetchTableData(tableName, url);
+        renderTableData(data);
+    } catch (error) {
+        showError(error.message, '#table-data');
+    }
+}
+
+// Reload the current page of table data without the loading message, flashing rows that are new or changed
+async function refreshTableData() {
+    const tableName = state.currentTable;
+    const url = state.currentUrl;
+    try {
+        const data = await fetchTableData(tableName, url);
+        if (state.currentTable !== tableName || state.currentUrl !== url) {
+            // Another page was opened meanwhile
+            return;
+        }
+        const previous = new Map([...elements.tableData.querySelectorAll('tr[data-id]')]
+            .map(tr => [tr.dataset.id, tr.textContent]));
         renderTableData(data);
+        elements.tableData.querySelectorAll('tr[data-id]').forEach(tr => {
+            if (previous.get(tr.dataset.id) !== tr.textContent) {
+                tr.classList.add('flash');
+            }
+        });
     } catch (error) {
         showError(error.message, '#table-data');
     }
 }
 
-// Render table data with pagination controls
-function renderTableData(data) {
+// Watch a table for changes, refreshing its current page when it changes
+function watchTable(tableName) {
+    if (state.liveEvents && state.liveTable === tableName) {
+        return;
+    }
+    stopWatching();
+    state.liveTable = tableName;
+    state.liveEvents = new EventSource(`${apiBase()}/tables/${encodeURIComponent(tableName)}/events`);
+    
+    // Changes often come in bursts (e.g. an import), so the page is refreshed once they settle
+    let refresh = null;
+    state.liveEvents.addEventListener('change', () => {
+        clearTimeout(refresh);
+        refresh = setTimeout(() => {
+            if (state.currentTable === tableName) {
+                refreshTableData();
+            }
+        }, 300);
+    });
+    state.liveEvents.addEventListener('poll-error', event => {
+        elements.liveToggle.title = `Live updates failed: ${JSON.parse(event.data).detail}`;
+    });
+    state.liveEvents.addEventListener('ready', () => {
+        elements.liveToggle.title = '';
+    });
+}
+
+// Stop watching the table of the live toggle
+function stopWatching() {
+    if (state.liveEvents) {
+        state.liveEvents.close();
+    }
+    state.liveEvents = null;
+    state.liveTable = null;
+}
+
+// Binary values are serialized as { size, contentType, base64 }
+function isBinaryValue(value) {
+    return value !== null && typeof value === 'object' && 'base64' in value && 'size' in value;
+}
+
+function formatBinaryValue(value) {
+    return `[${value.contentType}, ${value.size} bytes]`;
+}
+
+// Format a cell value: JSON documents and GeoJSON as JSON text
+function formatValue(value) {
+    if (value === null) {
+        return 'NULL';
+    }
+    if (isBinaryValue(value)) {
+        return formatBinaryValue(value);
+    }
+    return typeof value === 'object' ? JSON.stringify(value) : value.toString();
+}
+
+// Render table data with pagination controls, by default into the table data section
+function renderTableData(data, container = elements.tableData, paginationContainer = elements.pagination) {
     // Clear previous content
-    elements.tableData.innerHTML = '';
-    elements.pagination.innerHTML = '';
+    container.innerHTML = '';
+    paginationContainer.innerHTML = '';
     
-    if (!data.data || data.data.length === 0) {
-        elements.tableData.innerHTML = '<p>No data found in this table</p>';
+    // A single row (e.g. a followed relationship) is shown as a one-row table
+    const rows = Array.isArray(data.data) ? data.data : [data.data].filter(Boolean);
+    // Query results describe their columns, so even an empty result gets its header
+    const columns = (data.meta && data.meta.columns) || null;
+    
+    if (rows.length === 0 && !columns) {
+        container.innerHTML = '<p>No data found in this table</p>';
         return;
     }
     
@@ -115,21 +448,57 @@ function renderTableData(data) {
     const thead = document.createElement('thead');
     const tbody = document.createElement('tbody');
     
-    // Create header row
+    // Create header row, with a column per relationship (foreign key)
+    const relationshipNames = rows.length > 0 ? Object.keys(rows[0].relationships || {}) : [];
+    const attributeNames = rows.length > 0 ? Object.keys(rows[0].attributes) : columns.map(column => column.name);
     const headerRow = document.createElement('tr');
-    Object.keys(data.data[0].attributes).forEach(key => {
+    [...attributeNames, ...relationshipNames.map(name => `→ ${name}`)].forEach((key, i) => {
         const th = document.createElement('th');
         th.textContent = key;
+        if (columns && columns[i]) {
+            th.title = describeColumn(columns[i]);
+        }
         headerRow.appendChild(th);
     });
     thead.appendChild(headerRow);
     
     // Create data rows
-    data.data.forEach(row => {
+    rows.forEach(row => {
         const tr = document.createElement('tr');
-        Object.values(row.attributes).forEach(value => {
+        if (row.id !== undefined) {
+            tr.dataset.id = row.id;
+        }
+        Object.entries(row.attributes).forEach(([key, value]) => {
+            const td = document.createElement('td');
+            if (isBinaryValue(value) && row.id !== undefined && state.currentTable && container === elements.tableData) {
+                // Binary values link to their download, which also serves values too large to inline
+                const link = document.createElement('a');
+                link.href = `${apiBase()}/tables/${encodeURIComponent(state.currentTable)}/${encodeURIComponent(row.id)}/${encodeURIComponent(key)}/raw`;
+                link.textContent = formatBinaryValue(value);
+                td.appendChild(link);
+            } else {
+                td.textContent = formatValue(value);
+            }
+            tr.appendChild(td);
+        });
+        relationshipNames.forEach(name => {
             const td = document.createElement('td');
-            td.textContent = value !== null ? value.toString() : 'NULL';
+            const relationship = row.relationships[name];
+            if (relationship.links.related) {
+                // Follow the foreign key to the referenced row
+                const link = document.createElement('a');
+                link.href = '#';
+                link.textContent = `${relationship.data.type} ${relationship.data.id}`;
+                link.addEventListener('click', event => {
+                    event.preventDefault();
+                    // The link is /api[/databases/<db>]/tables/<table>/<id>
+                    const tableName = decodeURIComponent(/\/tables\/([^/]+)\/[^/]+$/.exec(relationship.links.related)[1]);
+                    loadTableData(tableName, relationship.links.related);
+                });
+                td.appendChild(link);
+            } else {
+                td.textContent = 'NULL';
+            }
             tr.appendChild(td);
         });
         tbody.appendChild(tr);
@@ -137,29 +506,505 @@ function renderTableData(data) {
     
     table.appendChild(thead);
     table.appendChild(tbody);
-    elements.tableData.appendChild(table);
+    container.appendChild(table);
+    if (rows.length === 0) {
+        const empty = document.createElement('p');
+        empty.textContent = 'No rows';
+        container.appendChild(empty);
+    }
     
-    // Add pagination if needed
-    const total = data.meta.pagination.total;
-    state.totalPages = data.meta.pagination.pages;
+    // Add pagination if needed, following the links of the document
+    const links = data.links || {};
+    if (data.meta && data.meta.pagination && data.meta.pagination.pages !== null) {
+        state.totalPages = data.meta.pagination.pages;
+    }
     
-    if (state.totalPages > 1) {
+    if (links.prev || links.next) {
         const prevButton = document.createElement('button');
         prevButton.textContent = 'Previous';
-        prevButton.disabled = state.currentPage === 1;
-        prevButton.addEventListener('click', () => loadTableData(state.currentTable, state.currentPage - 1));
+        prevButton.disabled = !links.prev;
+        prevButton.addEventListener('click', () => loadTableData(state.currentTable, links.prev, state.currentPage - 1));
         
         const nextButton = document.createElement('button');
         nextButton.textContent = 'Next';
-        nextButton.disabled = state.currentPage === state.totalPages;
-        nextButton.addEventListener('click', () => loadTableData(state.currentTable, state.currentPage + 1));
+        nextButton.disabled = !links.next;
+        nextButton.addEventListener('click', () => loadTableData(state.currentTable, links.next, state.currentPage + 1));
         
         const pageInfo = document.createElement('span');
-        pageInfo.textContent = `Page ${state.currentPage} of ${state.totalPages}`;
+        pageInfo.textContent = state.totalPages
+            ? `Page ${state.currentPage} of ${state.totalPages}`
+            : `Page ${state.currentPage}`;
+        
+        paginationContainer.appendChild(prevButton);
+        paginationContainer.appendChild(pageInfo);
+        paginationContainer.appendChild(nextButton);
+    }
+}
+
+// Escape text for use in HTML
+function escapeHtml(text) {
+    return text.replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+// Highlight SQL text as HTML
+function highlightSql(sql) {
+    let html = '';
+    let last = 0;
+    for (const match of sql.matchAll(SQL_TOKEN_PATTERN)) {
+        const [token, comment, string, identifier, number, word] = match;
+        html += escapeHtml(sql.slice(last, match.index));
+        last = match.index + token.length;
         
-        elements.pagination.appendChild(prevButton);
-        elements.pagination.appendChild(pageInfo);
-        elements.pagination.appendChild(nextButton);
+        let className = null;
+        if (comment) className = 'sql-comment';
+        else if (string) className = 'sql-string';
+        else if (identifier) className = 'sql-identifier';
+        else if (number) className = 'sql-number';
+        else if (word && SQL_KEYWORDS.includes(word.toUpperCase())) className = 'sql-keyword';
+        
+        html += className ? `<span class="${className}">${escapeHtml(token)}</span>` : escapeHtml(token);
+    }
+    // A trailing newline needs content after it to take up a line in the <pre>
+    return html + escapeHtml(sql.slice(last)) + (sql.endsWith('\n') ? ' ' : '');
+}
+
+// Redraw the highlighted copy of the editor text behind the textarea
+function updateHighlight() {
+    elements.sqlHighlight.innerHTML = highlightSql(elements.sqlInput.value);
+    elements.sqlHighlight.scrollTop = elements.sqlInput.scrollTop;
+    elements.sqlHighlight.scrollLeft = elements.sqlInput.scrollLeft;
+}
+
+// Read the query history from localStorage (newest first)
+function loadHistory() {
+    try {
+        const history = JSON.parse(localStorage.getItem(HISTORY_KEY));
+        return Array.isArray(history) ? history : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+// Save the query history to localStorage; storage may be full or disabled, in which case history is not kept
+function saveHistory(history) {
+    try {
+        localStorage.setItem(HISTORY_KEY, JSON.stringify(history));
+    } catch (error) {
+        // Ignore: history is a convenience
+    }
+}
+
+// Add a query to the top of the history, removing older copies of it
+function addToHistory(query) {
+    const history = [query, ...loadHistory().filter(entry => entry !== query)].slice(0, HISTORY_LIMIT);
+    saveHistory(history);
+    renderHistory();
+}
+
+// Render the query history; clicking an entry puts it back in the editor
+function renderHistory() {
+    elements.queryHistory.innerHTML = '';
+    loadHistory().forEach(query => {
+        const item = document.createElement('li');
+        const code = document.createElement('code');
+        code.textContent = query;
+        item.appendChild(code);
+        item.title = 'Load into the editor';
+        item.addEventListener('click', () => {
+            elements.sqlInput.value = query;
+            updateHighlight();
+            elements.sqlInput.focus();
+        });
+        elements.queryHistory.appendChild(item);
+    });
+}
+
+// Show the errors of a JSON:API error document
+function showQueryErrors(errors, status, container = elements.queryResults) {
+    container.innerHTML = '';
+    const list = document.createElement('div');
+    list.className = 'error';
+    (errors && errors.length > 0 ? errors : [{ status: String(status), title: 'Request failed' }]).forEach(error => {
+        const line = document.createElement('div');
+        const code = error.code ? ` [${error.code}]` : '';
+        line.textContent = `${error.status} ${error.title}${code}${error.detail ? `: ${error.detail}` : ''}`;
+        list.appendChild(line);
+    });
+    container.appendChild(list);
+}
+
+// Describe a result column for its header tooltip, e.g. "varchar, nullable, from customers"
+function describeColumn(column) {
+    const parts = [column.type || 'unknown type'];
+    if (column.nullable !== null) {
+        parts.push(column.nullable ? 'nullable' : 'not null');
+    }
+    if (column.table) {
+        parts.push(`from ${column.table}`);
+    }
+    return parts.join(', ');
+}
+
+// Summarize a statement result: its row count, or the rows it changed
+function summarizeResult(result) {
+    if (result.statementCount !== undefined) {
+        return `${result.statementCount} statements`;
+    }
+    if (result.affectedRows !== undefined) {
+        const insertId = result.insertId !== null && result.insertId !== undefined ? `, insert id ${result.insertId}` : '';
+        return `${result.affectedRows} row${result.affectedRows === 1 ? '' : 's'} affected${insertId}`;
+    }
+    return `${result.rowCount} row${result.rowCount === 1 ? '' : 's'}`;
+}
+
+// Show a query document: a table of rows, the rows a statement changed, or one section per statement
+function renderQueryResults(body, container = elements.queryResults) {
+    const meta = body.meta || {};
+    
+    if (meta.statementCount !== undefined) {
+        container.innerHTML = '';
+        body.data.forEach(resource => {
+            const section = document.createElement('div');
+            section.className = 'statement-result';
+            const heading = document.createElement('h4');
+            heading.textContent = `Statement ${resource.id}: ${summarizeResult(resource.attributes)}`;
+            section.appendChild(heading);
+            if (resource.attributes.rows) {
+                const table = document.createElement('div');
+                const rows = resource.attributes.rows.map(attributes => ({ attributes }));
+                renderTableData({ data: rows, meta: { columns: resource.attributes.columns } }, table, document.createElement('div'));
+                section.appendChild(table);
+            }
+            container.appendChild(section);
+        });
+    } else if (body.data) {
+        renderTableData(body, container, document.createElement('div'));
+    } else {
+        container.innerHTML = '';
+    }
+    
+    if (meta.warnings && meta.warnings.length > 0) {
+        const list = document.createElement('ul');
+        list.className = 'query-warnings';
+        meta.warnings.forEach(warning => {
+            const item = document.createElement('li');
+            item.textContent = `${warning.level} ${warning.code}: ${warning.message}`;
+            list.appendChild(item);
+        });
+        container.appendChild(list);
+    }
+}
+
+// The selected SQL, or the whole editor if nothing is selected
+function consoleQuery() {
+    const { value, selectionStart, selectionEnd } = elements.sqlInput;
+    return (selectionEnd > selectionStart ? value.slice(selectionStart, selectionEnd) : value).trim();
+}
+
+// Run the selected SQL, or the whole editor if nothing is selected
+async function runQuery() {
+    const query = consoleQuery();
+    if (!query) {
+        return;
+    }
+    
+    addToHistory(query);
+    elements.runQuery.disabled = true;
+    elements.queryStatus.textContent = 'Running...';
+    const started = performance.now();
+    
+    try {
+        const response = await fetch(`${apiBase()}/query`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ query })
+        });
+        const body = await response.json().catch(() => null);
+        const elapsed = Math.round(performance.now() - started);
+        
+        if (!response.ok || !body || body.errors) {
+            elements.queryStatus.textContent = `Failed after ${elapsed} ms`;
+            showQueryErrors(body && body.errors, response.status);
+            return;
+        }
+        
+        const meta = body.meta || {};
+        elements.queryStatus.textContent =
+            `${summarizeResult(meta)} in ${meta.executionTimeMs} ms (${elapsed} ms round trip)`;
+        renderQueryResults(body);
+    } catch (error) {
+        elements.queryStatus.textContent = '';
+        showQueryErrors([{ status: '0', title: 'Network Error', detail: error.message }]);
+    } finally {
+        elements.runQuery.disabled = false;
+    }
+}
+
+// Show the plan of the selected SQL, or of the whole editor, analyzed if asked
+async function explainQuery() {
+    const query = consoleQuery();
+    if (!query) {
+        return;
+    }
+    
+    elements.explainQuery.disabled = true;
+    elements.queryStatus.textContent = 'Explaining...';
+    
+    try {
+        const response = await fetch(`${apiBase()}/query/explain`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ query, analyze: elements.explainAnalyze.checked })
+        });
+        const body = await response.json().catch(() => null);
+        
+        if (!response.ok || !body || body.errors) {
+            elements.queryStatus.textContent = 'Explain failed';
+            showQueryErrors(body && body.errors, response.status);
+            return;
+        }
+        
+        const meta = body.meta;
+        const time = meta.executionTimeMs !== null ? ` in ${meta.executionTimeMs} ms` : '';
+        elements.queryStatus.textContent = `${meta.analyzed ? 'Analyzed' : 'Estimated'} ${meta.engine} plan${time}, ` +
+            `${meta.warnings.length} warning${meta.warnings.length === 1 ? '' : 's'}`;
+        renderQueryPlan(meta);
+    } catch (error) {
+        elements.queryStatus.textContent = '';
+        showQueryErrors([{ status: '0', title: 'Network Error', detail: error.message }]);
+    } finally {
+        elements.explainQuery.disabled = false;
+    }
+}
+
+// Format a number of a plan node, rounding costs and times
+function formatPlanNumber(value) {
+    return Number.isInteger(value) ? String(value) : value.toFixed(2);
+}
+
+// Build the list item of a plan node and its children; expensive nodes are highlighted
+function renderPlanNode(node) {
+    const item = document.createElement('li');
+    item.className = node.expensive ? 'plan-node expensive' : 'plan-node';
+    
+    const line = document.createElement('div');
+    const operation = document.createElement('strong');
+    operation.textContent = node.operation;
+    line.appendChild(operation);
+    
+    const parts = [];
+    if (node.table) parts.push(`on ${node.table}`);
+    if (node.accessType) parts.push(node.accessType);
+    if (node.key) parts.push(`using ${node.key}`);
+    if (node.estimatedRows !== null) parts.push(`${formatPlanNumber(node.estimatedRows)} rows estimated`);
+    if (node.actualRows !== null) parts.push(`${formatPlanNumber(node.actualRows)} rows read`);
+    if (node.loops !== null && node.loops !== 1) parts.push(`${node.loops} loops`);
+    if (node.cost !== null) parts.push(`cost ${formatPlanNumber(node.cost)}`);
+    if (node.timeMs !== null) parts.push(`${formatPlanNumber(node.timeMs)} ms`);
+    if (parts.length > 0) {
+        line.appendChild(document.createTextNode(` ${parts.join(', ')}`));
+    }
+    if (node.condition) {
+        const condition = document.createElement('code');
+        condition.textContent = node.condition;
+        line.appendChild(document.createTextNode(' where '));
+        line.appendChild(condition);
+    }
+    line.title = Object.entries(node.details).map(([key, value]) => `${key}: ${value}`).join('\n');
+    item.appendChild(line);
+    
+    node.warnings.forEach(warning => {
+        const note = document.createElement('div');
+        note.className = 'plan-warning';
+        note.textContent = warning.message;
+        item.appendChild(note);
+    });
+    
+    if (node.children.length > 0) {
+        const children = document.createElement('ul');
+        node.children.forEach(child => children.appendChild(renderPlanNode(child)));
+        item.appendChild(children);
+    }
+    return item;
+}
+
+// Show a query plan as a tree, below the list of its warnings
+function renderQueryPlan(meta) {
+    elements.queryResults.innerHTML = '';
+    
+    if (meta.warnings.length > 0) {
+        const list = document.createElement('ul');
+        list.className = 'query-warnings';
+        meta.warnings.forEach(warning => {
+            const item = document.createElement('li');
+            item.textContent = `${warning.node} ${warning.code}: ${warning.message}`;
+            list.appendChild(item);
+        });
+        elements.queryResults.appendChild(list);
+    }
+    
+    const tree = document.createElement('ul');
+    tree.className = 'plan-tree';
+    tree.appendChild(renderPlanNode(meta.plan));
+    elements.queryResults.appendChild(tree);
+}
+
+// Wire up the SQL console: highlighting, Ctrl+Enter, the run and explain buttons and history
+function initSqlConsole() {
+    elements.sqlInput.addEventListener('input', updateHighlight);
+    elements.sqlInput.addEventListener('scroll', updateHighlight);
+    elements.sqlInput.addEventListener('keydown', event => {
+        if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
+            event.preventDefault();
+            runQuery();
+        }
+    });
+    elements.runQuery.addEventListener('click', runQuery);
+    elements.explainQuery.addEventListener('click', explainQuery);
+    elements.clearHistory.addEventListener('click', () => {
+        saveHistory([]);
+        renderHistory();
+    });
+    
+    updateHighlight();
+    renderHistory();
+}
+
+// Wire up the live toggle, which refreshes the current table as it changes
+function initLiveToggle() {
+    elements.liveUpdates.addEventListener('change', () => {
+        if (elements.liveUpdates.checked && state.currentTable) {
+            watchTable(state.currentTable);
+        } else {
+            stopWatching();
+        }
+    });
+}
+
+// Wire up the import dialog of the current table
+function initImportDialog() {
+    elements.openImport.addEventListener('click', () => {
+        elements.importForm.reset();
+        elements.importTitle.textContent = `Import rows into ${state.currentTable}`;
+        elements.importReport.innerHTML = '';
+        elements.importRun.disabled = true;
+        elements.importDialog.showModal();
+    });
+    // Any change invalidates the dry run, which must be repeated before importing
+    elements.importForm.addEventListener('change', () => {
+        elements.importRun.disabled = true;
+    });
+    elements.importDryRun.addEventListener('click', () => runImport(true));
+    elements.importRun.addEventListener('click', () => runImport(false));
+}
+
+// Build the query string of an import from the dialog: the format by file extension, the mode and the mapping
+function importParams(file, dryRun) {
+    const form = new FormData(elements.importForm);
+    const params = new URLSearchParams({ mode: form.get('mode') });
+    const format = IMPORT_FORMATS[file.name.split('.').pop().toLowerCase()];
+    if (format) {
+        params.set('format', format);
+    }
+    if (dryRun) {
+        params.set('dryRun', 'true');
+    }
+    // "field=column" entries, separated by commas; an empty column drops the field
+    form.get('map').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+        const [field, column = ''] = entry.split('=');
+        params.set(`map[${field.trim()}]`, column.trim());
+    });
+    return params;
+}
+
+// Send the chosen file to the import endpoint, as a dry run or for real, and show the report
+async function runImport(dryRun) {
+    const file = elements.importForm.elements.file.files[0];
+    if (!file) {
+        elements.importForm.reportValidity();
+        return;
+    }
+    
+    const tableName = state.currentTable;
+    elements.importReport.textContent = dryRun ? 'Checking rows...' : 'Importing...';
+    elements.importDryRun.disabled = true;
+    elements.importRun.disabled = true;
+    try {
+        const response = await fetch(`${apiBase()}/tables/${encodeURIComponent(tableName)}/import?${importParams(file, dryRun)}`, {
+            method: 'POST',
+            headers: { 'Content-Type': file.type || 'application/octet-stream' },
+            body: await file.text()
+        });
+        const body = await response.json().catch(() => null);
+        const failed = !response.ok || !body || body.errors;
+        elements.importReport.innerHTML = '';
+        // Invalid rows (422) are listed by the report; other errors are shown above it
+        if (failed && (response.status !== 422 || !body || !body.meta)) {
+            showQueryErrors(body && body.errors, response.status, elements.importReport);
+        }
+        if (body && body.meta) {
+            renderImportReport(body.meta);
+        }
+        if (failed) {
+            // The chunks written before a failing row stay imported
+            if (!dryRun && body && body.meta) {
+                loadTableData(tableName);
+            }
+            return;
+        }
+        
+        // A clean dry run unlocks the import; a finished import shows the new rows
+        if (dryRun) {
+            elements.importRun.disabled = body.meta.errorCount > 0;
+        } else {
+            loadTableData(tableName);
+        }
+    } catch (error) {
+        showQueryErrors([{ status: '0', title: 'Network Error', detail: error.message }], 0, elements.importReport);
+    } finally {
+        elements.importDryRun.disabled = false;
+    }
+}
+
+// Show the report of an import: row counts, what was written, and the invalid rows
+function renderImportReport(report) {
+    const summary = document.createElement('p');
+    const counts = [`${report.rowCount} rows read`, `${report.validRows} valid`, `${report.invalidRows} invalid`];
+    ['inserted', 'updated', 'replaced'].forEach(key => {
+        if (report[key] !== undefined) {
+            counts.push(`${report[key]} ${key}`);
+        }
+    });
+    summary.textContent = `${report.dryRun ? 'Dry run: ' : ''}${counts.join(', ')}`;
+    elements.importReport.appendChild(summary);
+    
+    const columns = document.createElement('p');
+    columns.className = 'query-status';
+    columns.textContent = `Columns: ${report.columns.join(', ')}`;
+    elements.importReport.appendChild(columns);
+    
+    if (report.errors.length === 0) {
+        return;
+    }
+    const table = document.createElement('table');
+    const headerRow = table.createTHead().insertRow();
+    ['Row', 'Column', 'Problem'].forEach(name => {
+        const th = document.createElement('th');
+        th.textContent = name;
+        headerRow.appendChild(th);
+    });
+    const tbody = table.createTBody();
+    report.errors.forEach(error => {
+        const tr = tbody.insertRow();
+        [error.row, error.column || '', error.detail].forEach(value => {
+            tr.insertCell().textContent = value;
+        });
+    });
+    elements.importReport.appendChild(table);
+    if (report.errorCount > report.errors.length) {
+        const more = document.createElement('p');
+        more.textContent = `${report.errorCount - report.errors.length} more problems not shown`;
+        elements.importReport.appendChild(more);
     }
 }
 
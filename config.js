@@ -0,0 +1,226 @@
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { DEFAULT_ALLOW, STATEMENT_KINDS } = require('./guard');
+
+// Where the server listens unless told otherwise
+const DEFAULT_HOST = '127.0.0.2';
+const DEFAULT_PORT = 3000;
+
+// Where saved queries are kept unless told otherwise
+const DEFAULT_SAVED_QUERIES = 'saved-queries.json';
+
+// Where the audit log is appended to unless told otherwise
+const DEFAULT_AUDIT_LOG = 'audit-log.ndjson';
+
+// Environment variable holding the database URI
+const URI_ENV = 'SQLBROWSER_URI';
+
+const USAGE = `Usage: node sql.js [options]
+
+Starts the SQL Browser JSON:API server.
+
+Options:
+  --uri <uri>          Database URI (mysql://, mariadb://, postgres://, postgresql:// or sqlite:)
+  --uri-file <file>    Read the database URI from a file (e.g. a container secret)
+  --host <address>     Address to listen on (default: ${DEFAULT_HOST})
+  --port <number>      Port to listen on (default: ${DEFAULT_PORT})
+  --read-only          Reject every write
+  --auth <file>        Require authentication, with users from an auth configuration file
+  --saved-queries <file>
+                       JSON file keeping the saved queries (default: ${DEFAULT_SAVED_QUERIES})
+  --audit-log <file>   File the statements and writes made through the API are appended to
+                       (default: ${DEFAULT_AUDIT_LOG})
+  --cache-ttl <seconds>
+                       Keep table lists, table schemas and row counts in memory for this long
+                       (default: 0, not kept)
+  --config <file>      Read options from a JSON file (uri, uriFile, host, port, readOnly, auth,
+                       savedQueries, auditLog, cacheTtl, allowStatements)
+  -h, --help           Show this help
+
+The URI is taken from --uri, --uri-file, the ${URI_ENV} environment variable or the configuration
+file, in that order. Without any of them the server prompts for it, if stdin is a terminal.
+Command-line options override the configuration file.`;
+
+/**
+ * Parses the command-line arguments.
+ *
+ * @param {string[]} argv - The arguments after the script name.
+ * @returns {Object} The options given, by their long name.
+ * @throws {Error} If an option is unknown or misses its value.
+ */
+function parseCliArgs(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      uri: { type: 'string' },
+      'uri-file': { type: 'string' },
+      host: { type: 'string' },
+      port: { type: 'string' },
+      'read-only': { type: 'boolean' },
+      auth: { type: 'string' },
+      'saved-queries': { type: 'string' },
+      'audit-log': { type: 'string' },
+      'cache-ttl': { type: 'string' },
+      config: { type: 'string' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+  return values;
+}
+
+/**
+ * Reads and validates a configuration file:
+ *
+ *     {
+ *       "uriFile": "/run/secrets/db-uri",
+ *       "host": "0.0.0.0",
+ *       "port": 8080,
+ *       "readOnly": true,
+ *       "auth": "auth.json",
+ *       "savedQueries": "reports.json",
+ *       "auditLog": "/var/log/sqlbrowser/audit.ndjson",
+ *       "cacheTtl": 30,
+ *       "allowStatements": ["read", "dml"]
+ *     }
+ *
+ * Relative file paths are resolved against the directory of the configuration file.
+ *
+ * @param {string} file - The path of the JSON file.
+ * @returns {Object} The configuration.
+ * @throws {Error} If the file cannot be read or is invalid.
+ */
+function loadConfigFile(file) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read configuration ${file}: ${error.message}`);
+  }
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`Configuration ${file} must be a JSON object`);
+  }
+
+  const known = ['uri', 'uriFile', 'host', 'port', 'readOnly', 'auth', 'savedQueries', 'auditLog', 'cacheTtl', 'allowStatements'];
+  const unknown = Object.keys(config).filter(key => !known.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Configuration ${file}: unknown option(s) ${unknown.join(', ')}; expected ${known.join(', ')}`);
+  }
+  for (const key of ['uri', 'uriFile', 'host', 'auth', 'savedQueries', 'auditLog']) {
+    if (config[key] !== undefined && typeof config[key] !== 'string') {
+      throw new Error(`Configuration ${file}: "${key}" must be a string`);
+    }
+  }
+  if (config.readOnly !== undefined && typeof config.readOnly !== 'boolean') {
+    throw new Error(`Configuration ${file}: "readOnly" must be true or false`);
+  }
+  if (config.allowStatements !== undefined &&
+      !(Array.isArray(config.allowStatements) && config.allowStatements.every(kind => typeof kind === 'string'))) {
+    throw new Error(`Configuration ${file}: "allowStatements" must be a list of statement kinds`);
+  }
+  const invalid = (config.allowStatements || []).filter(kind => !STATEMENT_KINDS.includes(kind));
+  if (invalid.length > 0) {
+    throw new Error(`Configuration ${file}: unknown statement kind(s) ${invalid.join(', ')} in "allowStatements"; ` +
+      `expected ${STATEMENT_KINDS.join(', ')}`);
+  }
+
+  const directory = path.dirname(file);
+  for (const key of ['uriFile', 'auth', 'savedQueries', 'auditLog']) {
+    if (config[key] !== undefined) {
+      config[key] = path.resolve(directory, config[key]);
+    }
+  }
+  return config;
+}
+
+/**
+ * Parses a port number.
+ *
+ * @param {string|number} value - The port.
+ * @returns {number} The port number.
+ * @throws {Error} If it is not an integer from 0 to 65535.
+ */
+function parsePort(value) {
+  const port = Number(value);
+  if (String(value).trim() === '' || !Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`Invalid port '${value}': expected a number from 0 to 65535`);
+  }
+  return port;
+}
+
+/**
+ * Parses how long the metadata cache keeps entries.
+ *
+ * @param {string|number} value - The time in seconds.
+ * @returns {number} The time in seconds.
+ * @throws {Error} If it is not a number of seconds, 0 or more.
+ */
+function parseCacheTtl(value) {
+  const seconds = Number(value);
+  if (String(value).trim() === '' || !Number.isFinite(seconds) || seconds < 0) {
+    throw new Error(`Invalid cache TTL '${value}': expected a number of seconds, 0 or more`);
+  }
+  return seconds;
+}
+
+/**
+ * Reads a database URI from a file, ignoring surrounding whitespace such as a trailing newline.
+ *
+ * @param {string} file - The path of the file.
+ * @returns {string} The URI.
+ * @throws {Error} If the file cannot be read or is empty.
+ */
+function readUriFile(file) {
+  let uri;
+  try {
+    uri = fs.readFileSync(file, 'utf8').trim();
+  } catch (error) {
+    throw new Error(`Could not read the database URI from ${file}: ${error.message}`);
+  }
+  if (!uri) {
+    throw new Error(`The database URI file ${file} is empty`);
+  }
+  return uri;
+}
+
+/**
+ * Combines the command-line arguments, the environment and the configuration file into the
+ * server options. Command-line options win over the environment, which wins over the file.
+ *
+ * @param {Object} args - The options from parseCliArgs.
+ * @param {Object} env - The environment variables.
+ * @param {Object} [config={}] - The configuration from loadConfigFile.
+ * @returns {{uri: (string|undefined), host: string, port: number, readOnly: boolean,
+ *   authFile: (string|undefined), savedQueriesFile: string, auditLogFile: string, cacheTtl: number,
+ *   allowStatements: string[]}} The options; uri is undefined when
+ *   none was given, so the caller may prompt for it.
+ * @throws {Error} If an option is invalid or a file cannot be read.
+ */
+function resolveOptions(args, env, config = {}) {
+  let uri;
+  if (args.uri !== undefined) {
+    uri = args.uri;
+  } else if (args['uri-file'] !== undefined) {
+    uri = readUriFile(args['uri-file']);
+  } else if (env[URI_ENV]) {
+    uri = env[URI_ENV];
+  } else if (config.uri !== undefined) {
+    uri = config.uri;
+  } else if (config.uriFile !== undefined) {
+    uri = readUriFile(config.uriFile);
+  }
+
+  return {
+    uri,
+    host: args.host || config.host || DEFAULT_HOST,
+    port: parsePort(args.port !== undefined ? args.port : config.port !== undefined ? config.port : DEFAULT_PORT),
+    readOnly: Boolean(args['read-only'] || config.readOnly),
+    authFile: args.auth !== undefined ? args.auth : config.auth,
+    savedQueriesFile: args['saved-queries'] || config.savedQueries || DEFAULT_SAVED_QUERIES,
+    auditLogFile: args['audit-log'] || config.auditLog || DEFAULT_AUDIT_LOG,
+    cacheTtl: parseCacheTtl(args['cache-ttl'] !== undefined ? args['cache-ttl'] : config.cacheTtl !== undefined ? config.cacheTtl : 0),
+    allowStatements: config.allowStatements || DEFAULT_ALLOW
+  };
+}
+
+module.exports = { USAGE, parseCliArgs, loadConfigFile, resolveOptions };
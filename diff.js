@@ -0,0 +1,254 @@
+const { orderTables } = require('./schema');
+
+/**
+ * Normalizes DDL for comparison: whitespace is collapsed, and the DEFINER clause MariaDB adds to views,
+ * routines and triggers is left out, as it names the user who created them rather than what they do.
+ *
+ * @param {string[]} ddl - The statements of an object.
+ * @returns {string} The comparable text.
+ */
+function normalizeDdl(ddl) {
+  return ddl.join(';\n')
+    .replace(/\s+DEFINER\s*=\s*(?:`[^`]*`|'[^']*'|[^\s@]+)(?:@(?:`[^`]*`|'[^']*'|\S+))?/gi, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Returns the key a schema object is matched by: its name, with the argument types of routines,
+ * which PostgreSQL overloads by.
+ *
+ * @param {Object} object - A view, routine or trigger.
+ * @returns {string} The key.
+ */
+function objectKey(object) {
+  return object.arguments === undefined ? object.name : `${object.name}(${object.arguments})`;
+}
+
+/**
+ * Returns the key an index is matched by: what it indexes, so a renamed index is not a change.
+ *
+ * @param {Object} index - An index of a table schema.
+ * @returns {string} The key.
+ */
+function indexKey(index) {
+  return JSON.stringify([index.unique, index.fulltext, index.columns]);
+}
+
+/**
+ * Returns the key a foreign key is matched by: its columns and what they reference, and its rules when
+ * both schemas are from the same engine (engines report the default rule differently).
+ *
+ * @param {Object} foreignKey - A foreign key of a table schema.
+ * @param {boolean} withRules - Whether the ON UPDATE and ON DELETE rules are compared.
+ * @returns {string} The key.
+ */
+function foreignKeyKey(foreignKey, withRules) {
+  return JSON.stringify([
+    foreignKey.columns,
+    foreignKey.referencedTable,
+    foreignKey.referencedColumns,
+    ...(withRules ? [foreignKey.onUpdate || null, foreignKey.onDelete || null] : [])
+  ]);
+}
+
+/**
+ * Tells how a column differs from another definition of it.
+ *
+ * @param {Object} from - The current column.
+ * @param {Object} to - The wanted column.
+ * @param {boolean} sameEngine - Whether types and defaults are comparable.
+ * @returns {string[]} What differs (type, nullable, default, autoIncrement); empty if nothing.
+ */
+function columnDifferences(from, to, sameEngine) {
+  const type = column => String(column.columnType || column.type || '').replace(/\s+/g, ' ').toLowerCase();
+  const differences = [];
+  if (sameEngine && type(from) !== type(to)) differences.push('type');
+  if (from.nullable !== to.nullable) differences.push('nullable');
+  if (sameEngine && !to.autoIncrement && String(from.default) !== String(to.default)) differences.push('default');
+  if (sameEngine && from.autoIncrement !== to.autoIncrement) differences.push('autoIncrement');
+  return differences;
+}
+
+/**
+ * Compares two schemas and builds the migration turning the first into the second. The statements are
+ * in the dialect of the driver and ordered so that each can run: triggers, views, routines and foreign
+ * keys that go or change are dropped first, tables are dropped and created, columns and indexes of the
+ * other tables changed, and the foreign keys, views, routines and triggers created last.
+ *
+ * Schemas from different engines are compared by their tables only, without the column types and
+ * defaults, whose spelling differs between engines; their views, routines and triggers cannot be
+ * translated, so missing ones are reported as warnings. Changes the engine cannot make with ALTER
+ * TABLE (such as changing a SQLite column) are reported as warnings too.
+ *
+ * @param {Object} driver - The driver of the database the migration is for.
+ * @param {Object} current - The schema of that database, from readDatabaseSchema.
+ * @param {Object} target - The schema it should get.
+ * @returns {{changes: Array<Object>, statements: string[], warnings: string[]}} The changes (action,
+ *   kind, name, the table of a column, index or foreign key, and what differs), the statements, and
+ *   what the statements leave undone.
+ */
+function diffSchemas(driver, current, target) {
+  const sameEngine = current.engine === target.engine;
+  const changes = [];
+  const warnings = [];
+  const drops = [];
+  const creates = [];
+  const alters = [];
+  const additions = [];
+
+  if (!sameEngine) {
+    warnings.push(`The schemas are from different engines (${current.engine} and ${target.engine}): column types ` +
+      'and defaults are not compared, and new columns and tables keep the types of the other engine');
+  }
+
+  /**
+   * Records a change and its statements, or a warning if the engine cannot make it.
+   *
+   * @param {Object} change - The change.
+   * @param {Array<string>} list - The statements list it belongs in.
+   * @param {string|string[]|null} statements - Its statements, null if there are none.
+   * @param {string} [unsupported] - The warning when there are none.
+   */
+  const record = (change, list, statements, unsupported) => {
+    changes.push(change);
+    if (statements === null || statements === undefined) {
+      warnings.push(unsupported);
+    } else {
+      list.push(...[].concat(statements));
+    }
+  };
+  const describe = (kind, object) => (object.table ? `${kind} '${object.table}.${object.name}'` : `${kind} '${object.name}'`);
+
+  // Views, routines and triggers, matched by name and compared by their DDL
+  for (const [kind, plural] of [['trigger', 'triggers'], ['view', 'views'], ['routine', 'routines']]) {
+    const currentObjects = new Map(current[plural].map(object => [objectKey(object), object]));
+    const targetObjects = new Map(target[plural].map(object => [objectKey(object), object]));
+    for (const [key, object] of currentObjects) {
+      const wanted = targetObjects.get(key);
+      if (!wanted || (sameEngine && normalizeDdl(object.ddl) !== normalizeDdl(wanted.ddl))) {
+        const action = wanted ? 'alter' : 'drop';
+        record({ action, kind, name: object.name, ...(object.table ? { table: object.table } : {}) },
+          drops, driver.dropStatement(kind, object), `Cannot drop ${describe(kind, object)} on ${driver.name}`);
+      }
+    }
+    for (const [key, object] of targetObjects) {
+      const existing = currentObjects.get(key);
+      if (existing && (!sameEngine || normalizeDdl(existing.ddl) === normalizeDdl(object.ddl))) {
+        continue;
+      }
+      if (!existing) {
+        changes.push({ action: 'create', kind, name: object.name, ...(object.table ? { table: object.table } : {}) });
+      }
+      if (!sameEngine || object.ddl.length === 0) {
+        warnings.push(`Cannot create ${describe(kind, object)}: its definition is ${object.ddl.length === 0 ? 'unknown' : `for ${target.engine}`}`);
+      } else {
+        // Views are created before routines and triggers, which may use them; triggers last
+        additions.push({ kind, statements: object.ddl });
+      }
+    }
+  }
+
+  // Tables, matched by name
+  const currentTables = new Map(current.tables.map(table => [table.name, table]));
+  const targetTables = new Map(target.tables.map(table => [table.name, table]));
+  const foreignKeyDrops = [];
+  const foreignKeyAdds = [];
+  const tableDrops = [];
+
+  // Tables referencing others are dropped before them
+  for (const table of orderTables(current.tables).reverse()) {
+    if (!targetTables.has(table.name)) {
+      record({ action: 'drop', kind: 'table', name: table.name }, tableDrops, driver.dropStatement('table', table));
+    }
+  }
+  for (const table of orderTables(target.tables)) {
+    if (!currentTables.has(table.name)) {
+      changes.push({ action: 'create', kind: 'table', name: table.name });
+      creates.push(...(sameEngine && table.ddl ? table.ddl : driver.createTableStatements(table)));
+    }
+  }
+
+  for (const table of target.tables.filter(table => currentTables.has(table.name))) {
+    const existing = currentTables.get(table.name);
+
+    const existingColumns = new Map(existing.columns.map(column => [column.name, column]));
+    const wantedColumns = new Map(table.columns.map(column => [column.name, column]));
+    for (const column of table.columns) {
+      const from = existingColumns.get(column.name);
+      if (!from) {
+        changes.push({ action: 'create', kind: 'column', table: table.name, name: column.name });
+        alters.push(`ALTER TABLE ${driver.quoteIdentifier(table.name)} ADD COLUMN ${driver.columnDefinition(column)}`);
+        continue;
+      }
+      const differences = columnDifferences(from, column, sameEngine);
+      if (differences.length > 0) {
+        record({ action: 'alter', kind: 'column', table: table.name, name: column.name, differences }, alters,
+          driver.alterColumnStatements(table.name, from, column),
+          `Cannot change column '${table.name}.${column.name}' (${differences.join(', ')}) on ${driver.name}; rebuild the table instead`);
+      }
+    }
+    for (const column of existing.columns.filter(column => !wantedColumns.has(column.name))) {
+      record({ action: 'drop', kind: 'column', table: table.name, name: column.name }, alters,
+        driver.dropStatement('column', { ...column, table: table.name }));
+    }
+
+    if (JSON.stringify(existing.primaryKey) !== JSON.stringify(table.primaryKey)) {
+      changes.push({ action: 'alter', kind: 'primaryKey', table: table.name, name: table.primaryKey.join(', ') });
+      warnings.push(`The primary key of table '${table.name}' differs (${existing.primaryKey.join(', ') || 'none'} ` +
+        `instead of ${table.primaryKey.join(', ') || 'none'}); change it by hand`);
+    }
+
+    const existingIndexes = new Map(existing.indexes.filter(index => !index.primary).map(index => [indexKey(index), index]));
+    const wantedIndexes = new Map(table.indexes.filter(index => !index.primary).map(index => [indexKey(index), index]));
+    for (const [key, index] of existingIndexes) {
+      if (!wantedIndexes.has(key)) {
+        record({ action: 'drop', kind: 'index', table: table.name, name: index.name }, alters,
+          driver.dropStatement('index', { ...index, table: table.name }),
+          `Cannot drop index '${index.name}' of table '${table.name}' on ${driver.name}; rebuild the table instead`);
+      }
+    }
+    for (const [key, index] of wantedIndexes) {
+      if (!existingIndexes.has(key)) {
+        record({ action: 'create', kind: 'index', table: table.name, name: index.name }, alters,
+          driver.createIndexStatement(table.name, index),
+          `Cannot create index '${index.name}' of table '${table.name}' on ${driver.name}; rebuild the table instead`);
+      }
+    }
+
+    const existingKeys = new Map(existing.foreignKeys.map(foreignKey => [foreignKeyKey(foreignKey, sameEngine), foreignKey]));
+    const wantedKeys = new Map(table.foreignKeys.map(foreignKey => [foreignKeyKey(foreignKey, sameEngine), foreignKey]));
+    for (const [key, foreignKey] of existingKeys) {
+      if (!wantedKeys.has(key)) {
+        record({ action: 'drop', kind: 'foreignKey', table: table.name, name: foreignKey.name }, foreignKeyDrops,
+          driver.dropStatement('foreignKey', { ...foreignKey, table: table.name }),
+          `Cannot drop foreign key '${foreignKey.name}' of table '${table.name}' on ${driver.name}; rebuild the table instead`);
+      }
+    }
+    for (const [key, foreignKey] of wantedKeys) {
+      if (!existingKeys.has(key)) {
+        record({ action: 'create', kind: 'foreignKey', table: table.name, name: foreignKey.name }, foreignKeyAdds,
+          driver.addForeignKeyStatement(table.name, foreignKey),
+          `Cannot add foreign key '${foreignKey.name}' to table '${table.name}' on ${driver.name}; rebuild the table instead`);
+      }
+    }
+  }
+
+  const kindOrder = ['view', 'routine', 'trigger'];
+  additions.sort((a, b) => kindOrder.indexOf(a.kind) - kindOrder.indexOf(b.kind));
+  return {
+    changes,
+    statements: [
+      ...drops,
+      ...foreignKeyDrops,
+      ...tableDrops,
+      ...creates,
+      ...alters,
+      ...foreignKeyAdds,
+      ...additions.flatMap(addition => addition.statements)
+    ],
+    warnings
+  };
+}
+
+module.exports = { diffSchemas };
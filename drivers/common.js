@@ -0,0 +1,442 @@
+/**
+ * Helpers shared by the database drivers.
+ */
+
+/**
+ * Converts a numeric catalog value (BigInt or numeric string, depending on the driver) to a number.
+ *
+ * @param {bigint|number|string|null} value - The raw value.
+ * @returns {number|null} The value as a number, or null.
+ */
+function toNumber(value) {
+  return value === null || value === undefined ? null : Number(value);
+}
+
+/**
+ * Normalizes a column default as reported by the catalog.
+ * String literals are reported quoted ('abc', or 'abc'::text on PostgreSQL) and are unquoted here;
+ * expressions such as CURRENT_TIMESTAMP are returned as-is. MariaDB reports a missing default as 'NULL'.
+ *
+ * @param {string|null} value - The raw default.
+ * @returns {string|null} The default value, or null if the column has none.
+ */
+function normalizeDefault(value) {
+  if (value === null || value === undefined || value === 'NULL') {
+    return null;
+  }
+  const quoted = /^'(.*)'(?:::[\w\s."[\]]+)?$/s.exec(value);
+  return quoted ? quoted[1].replace(/''/g, "'") : value;
+}
+
+/**
+ * Groups per-column index rows into index objects, preserving column order.
+ *
+ * @param {Array<{name: string, primary: boolean, unique: boolean, fulltext: (boolean|undefined), column: string}>} rows -
+ *   One row per index column, in order.
+ * @returns {Array<{name: string, primary: boolean, unique: boolean, fulltext: boolean, columns: string[]}>} The indexes.
+ */
+function groupIndexes(rows) {
+  const indexes = [];
+  for (const row of rows) {
+    let index = indexes.find(idx => idx.name === row.name);
+    if (!index) {
+      index = { name: row.name, primary: row.primary, unique: row.unique, fulltext: Boolean(row.fulltext), columns: [] };
+      indexes.push(index);
+    }
+    index.columns.push(row.column);
+  }
+  return indexes;
+}
+
+/**
+ * Groups per-column foreign key rows into foreign key objects, preserving column order.
+ *
+ * @param {Array<Object>} rows - One row per constraint column with name, column, referencedSchema,
+ *   referencedTable, referencedColumn, onUpdate and onDelete.
+ * @returns {Array<Object>} The foreign keys.
+ */
+function groupForeignKeys(rows) {
+  const foreignKeys = [];
+  for (const row of rows) {
+    let foreignKey = foreignKeys.find(fk => fk.name === row.name);
+    if (!foreignKey) {
+      foreignKey = {
+        name: row.name,
+        columns: [],
+        referencedSchema: row.referencedSchema,
+        referencedTable: row.referencedTable,
+        referencedColumns: [],
+        onUpdate: row.onUpdate,
+        onDelete: row.onDelete
+      };
+      foreignKeys.push(foreignKey);
+    }
+    foreignKey.columns.push(row.column);
+    foreignKey.referencedColumns.push(row.referencedColumn);
+  }
+  return foreignKeys;
+}
+
+/**
+ * Assembles the table schema returned by every driver's getTableSchema.
+ *
+ * @param {string} tableName - The table name.
+ * @param {Array<Object>} columns - The columns, without the primaryKey and unique flags.
+ * @param {Array<Object>} indexes - The indexes, as returned by groupIndexes.
+ * @param {Array<Object>} foreignKeys - The foreign keys, as returned by groupForeignKeys.
+ * @param {string[]} [primaryKey] - The primary key columns; defaults to the columns of the primary index.
+ * @returns {Object} The table schema.
+ */
+function buildTableSchema(tableName, columns, indexes, foreignKeys, primaryKey) {
+  if (!primaryKey) {
+    const primaryIndex = indexes.find(idx => idx.primary);
+    primaryKey = primaryIndex ? primaryIndex.columns : [];
+  }
+
+  return {
+    name: tableName,
+    columns: columns.map(column => ({
+      ...column,
+      primaryKey: primaryKey.includes(column.name),
+      unique: indexes.some(idx => idx.unique && idx.columns.length === 1 && idx.columns[0] === column.name)
+    })),
+    primaryKey,
+    indexes,
+    foreignKeys
+  };
+}
+
+/**
+ * Builds an INSERT statement with `?` placeholders.
+ *
+ * @param {Object} driver - The driver, for identifier quoting.
+ * @param {string} tableName - The table to insert into.
+ * @param {Object} values - The column values.
+ * @param {string} emptyValues - The clause inserting a row of defaults, e.g. `() VALUES ()` or `DEFAULT VALUES`.
+ * @returns {{sql: string, params: Array}} The statement and its parameters.
+ */
+function buildInsert(driver, tableName, values, emptyValues) {
+  const columns = Object.keys(values);
+  const target = `INSERT INTO ${driver.quoteIdentifier(tableName)}`;
+  if (columns.length === 0) {
+    return { sql: `${target} ${emptyValues}`, params: [] };
+  }
+  return {
+    sql: `${target} (${columns.map(driver.quoteIdentifier).join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+    params: columns.map(column => values[column])
+  };
+}
+
+/**
+ * Counts the rows of a table matching an optional WHERE clause.
+ *
+ * @param {Object} driver - The driver, for identifier quoting.
+ * @param {Object} conn - A driver connection.
+ * @param {string} tableName - The table to count.
+ * @param {string} [where=''] - A WHERE clause with `?` placeholders, including the leading space.
+ * @param {Array} [params=[]] - The parameters of the WHERE clause.
+ * @returns {Promise<number>} The number of rows.
+ */
+async function countRows(driver, conn, tableName, where = '', params = []) {
+  const countResult = await conn.query(`SELECT COUNT(*) AS total FROM ${driver.quoteIdentifier(tableName)}${where}`, params);
+  return Number(countResult[0].total);
+}
+
+/**
+ * Runs a function inside a transaction: commits if it resolves, rolls back if it throws.
+ * BEGIN, COMMIT and ROLLBACK mean the same on every supported engine.
+ *
+ * @param {function(string): Promise} query - Runs a statement on the connection.
+ * @param {function(): Promise<*>} fn - The work to do inside the transaction.
+ * @returns {Promise<*>} What fn resolves to.
+ */
+async function runTransaction(query, fn) {
+  await query('BEGIN');
+  let result;
+  try {
+    result = await fn();
+  } catch (error) {
+    try {
+      await query('ROLLBACK');
+    } catch (rollbackError) {
+      // The original error explains the failure better; a failed rollback ends the transaction anyway
+    }
+    throw error;
+  }
+  await query('COMMIT');
+  return result;
+}
+
+/**
+ * Builds the LIKE pattern matching values that contain a text, with `!` escaping the wildcards, for use
+ * as `column LIKE ? ESCAPE '!'` (an escape character written the same way in every dialect).
+ *
+ * @param {string} text - The text to look for.
+ * @returns {string} The pattern.
+ */
+function containsPattern(text) {
+  return `%${String(text).replace(/[!%_]/g, '!$&')}%`;
+}
+
+/**
+ * Quotes an identifier with double quotes (standard SQL), escaping embedded double quotes.
+ *
+ * @param {string} name - The identifier to quote.
+ * @returns {string} The quoted identifier.
+ */
+function quoteIdentifierAnsi(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+/**
+ * Formats a value as a SQL literal using standard SQL string syntax (quotes doubled, no backslash escapes).
+ * Dates are written in UTC as 'YYYY-MM-DD HH:MM:SS.sss'; objects (JSON values) as JSON strings.
+ *
+ * @param {*} value - The value to format.
+ * @param {function(Buffer): string} [formatBinary] - Formats binary values; defaults to X'hex' blob literals.
+ * @param {function(string): string} [escapeString] - Escapes string contents; defaults to doubling single quotes.
+ * @returns {string} The SQL literal.
+ */
+function quoteLiteralAnsi(value, formatBinary = bytes => `X'${bytes.toString('hex')}'`,
+  escapeString = text => text.replace(/'/g, "''")) {
+  if (value === null || value === undefined) {
+    return 'NULL';
+  }
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? String(value) : 'NULL';
+  }
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+  if (typeof value === 'boolean') {
+    return value ? 'TRUE' : 'FALSE';
+  }
+  if (value instanceof Date) {
+    return `'${value.toISOString().replace('T', ' ').replace('Z', '')}'`;
+  }
+  if (value instanceof Uint8Array) {
+    return formatBinary(Buffer.from(value));
+  }
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return `'${escapeString(text)}'`;
+}
+
+// Column defaults written as they are: numbers, booleans and the current date and time keywords
+const DEFAULT_KEYWORD = /^(?:[-+]?\d+(?:\.\d+)?|true|false|current_timestamp|current_date|current_time|localtime|localtimestamp)$/i;
+
+// Column defaults that are expressions: function calls, casts and parenthesized expressions
+const DEFAULT_EXPRESSION = /^(?:[\w.]+\s*\([\s\S]*\)|\([\s\S]*\)|[\s\S]*::[\w\s."[\]]+)$/;
+
+/**
+ * Formats a column default from a table schema as SQL. Defaults are unquoted by normalizeDefault, so
+ * keywords and expressions are told apart from string values by their form; expressions are wrapped in
+ * parentheses, which every engine accepts in a DEFAULT clause.
+ *
+ * @param {Object} driver - The driver, for literal quoting.
+ * @param {string} value - The default, as in the table schema.
+ * @returns {string} The SQL of the default.
+ */
+function formatDefault(driver, value) {
+  if (DEFAULT_KEYWORD.test(value)) {
+    return value;
+  }
+  if (DEFAULT_EXPRESSION.test(value)) {
+    return value.startsWith('(') ? value : `(${value})`;
+  }
+  return driver.quoteLiteral(value);
+}
+
+/**
+ * Builds the definition of a column for CREATE TABLE and ALTER TABLE ... ADD COLUMN.
+ *
+ * @param {Object} driver - The driver, for quoting.
+ * @param {Object} column - The column, as in a table schema.
+ * @param {string} [autoIncrementClause=''] - What makes the column auto-increment, e.g. AUTO_INCREMENT.
+ * @returns {string} The column definition.
+ */
+function buildColumnDefinition(driver, column, autoIncrementClause = '') {
+  const parts = [driver.quoteIdentifier(column.name), column.columnType || column.type];
+  if (!column.nullable) {
+    parts.push('NOT NULL');
+  }
+  // Auto-increment columns get their values from the clause, not from a sequence default
+  if (column.autoIncrement) {
+    parts.push(autoIncrementClause);
+  } else if (column.default !== null && column.default !== undefined) {
+    parts.push(`DEFAULT ${formatDefault(driver, column.default)}`);
+  }
+  return parts.filter(Boolean).join(' ');
+}
+
+/**
+ * Builds the REFERENCES clause of a foreign key, leaving out the default NO ACTION rules.
+ *
+ * @param {Object} driver - The driver, for quoting.
+ * @param {Object} foreignKey - The foreign key, as in a table schema.
+ * @returns {string} The clause.
+ */
+function buildReferences(driver, foreignKey) {
+  const rules = [['UPDATE', foreignKey.onUpdate], ['DELETE', foreignKey.onDelete]]
+    .filter(([, rule]) => rule && rule.toUpperCase() !== 'NO ACTION')
+    .map(([event, rule]) => ` ON ${event} ${rule.toUpperCase()}`);
+  return `FOREIGN KEY (${foreignKey.columns.map(driver.quoteIdentifier).join(', ')})` +
+    ` REFERENCES ${driver.quoteIdentifier(foreignKey.referencedTable)}` +
+    ` (${foreignKey.referencedColumns.map(driver.quoteIdentifier).join(', ')})${rules.join('')}`;
+}
+
+/**
+ * Builds a CREATE INDEX statement for an index of a table schema.
+ *
+ * @param {Object} driver - The driver, for quoting.
+ * @param {string} tableName - The table of the index.
+ * @param {Object} index - The index, as in a table schema.
+ * @param {string} [kind] - The index kind keyword, UNIQUE by default for unique indexes.
+ * @returns {string} The statement.
+ */
+function buildCreateIndex(driver, tableName, index, kind = index.unique ? 'UNIQUE' : '') {
+  return `CREATE ${kind ? `${kind} ` : ''}INDEX ${driver.quoteIdentifier(index.name)}` +
+    ` ON ${driver.quoteIdentifier(tableName)} (${index.columns.map(driver.quoteIdentifier).join(', ')})`;
+}
+
+/**
+ * Builds the statements creating a table from its schema: CREATE TABLE with the columns, primary key
+ * and foreign keys, then a CREATE INDEX for each other index.
+ *
+ * @param {Object} driver - The driver, for quoting and its createIndexStatement.
+ * @param {Object} schema - The table schema.
+ * @param {Object} [options]
+ * @param {string} [options.autoIncrementClause=''] - What makes a column auto-increment.
+ * @param {function(Object): boolean} [options.inlineUnique] - Whether a unique index is written as a
+ *   UNIQUE constraint of the table instead of a CREATE INDEX.
+ * @returns {string[]} The statements.
+ */
+function buildCreateTable(driver, schema, { autoIncrementClause = '', inlineUnique = () => false } = {}) {
+  const definitions = schema.columns.map(column => buildColumnDefinition(driver, column, autoIncrementClause));
+  if (schema.primaryKey.length > 0) {
+    definitions.push(`PRIMARY KEY (${schema.primaryKey.map(driver.quoteIdentifier).join(', ')})`);
+  }
+  const indexes = schema.indexes.filter(index => !index.primary);
+  indexes.filter(inlineUnique).forEach(index => {
+    definitions.push(`UNIQUE (${index.columns.map(driver.quoteIdentifier).join(', ')})`);
+  });
+  schema.foreignKeys.forEach(foreignKey => {
+    definitions.push(`CONSTRAINT ${driver.quoteIdentifier(foreignKey.name)} ${buildReferences(driver, foreignKey)}`);
+  });
+
+  return [
+    `CREATE TABLE ${driver.quoteIdentifier(schema.name)} (\n  ${definitions.join(',\n  ')}\n)`,
+    ...indexes.filter(index => !inlineUnique(index))
+      .map(index => driver.createIndexStatement(schema.name, index))
+      .filter(Boolean)
+  ];
+}
+
+/**
+ * Builds the statement dropping a schema object, in the syntax most engines share.
+ *
+ * @param {Object} driver - The driver, for quoting.
+ * @param {string} kind - table, view, column, index, foreignKey, routine or trigger.
+ * @param {Object} object - The object: its name, the table of a column, index, foreign key or trigger,
+ *   and the kind (function or procedure) of a routine.
+ * @returns {string} The statement.
+ */
+function buildDropStatement(driver, kind, object) {
+  const name = driver.quoteIdentifier(object.name);
+  switch (kind) {
+    case 'column':
+      return `ALTER TABLE ${driver.quoteIdentifier(object.table)} DROP COLUMN ${name}`;
+    case 'foreignKey':
+      return `ALTER TABLE ${driver.quoteIdentifier(object.table)} DROP CONSTRAINT ${name}`;
+    case 'routine':
+      return `DROP ${object.kind.toUpperCase()} ${name}`;
+    default:
+      return `DROP ${kind.toUpperCase()} ${name}`;
+  }
+}
+
+/**
+ * Builds a node of a normalized query plan, as every driver's explain returns it. Fields the engine does
+ * not report are null.
+ *
+ * @param {Object} fields - The fields known for the node:
+ *   - `operation` - what the node does, in the engine's words (e.g. `Seq Scan`, `ALL`, `SEARCH`)
+ *   - `table` and `key` - the table read and the index used
+ *   - `accessType` - how the table is read: full-scan, index-scan (a whole index), range, lookup,
+ *     unique-lookup or const
+ *   - `possibleKeys` - the indexes the optimizer considered
+ *   - `estimatedRows` and `actualRows` - the rows per execution of the node, estimated, and produced
+ *     when the plan was analyzed
+ *   - `loops`, `cost` and `timeMs` - executions of the node, the optimizer's cost and the time all of
+ *     them took
+ *   - `condition` - the condition applied to the rows
+ *   - `sort` and `temporary` - whether the node sorts rows, and uses a temporary table or files
+ *   - `details` - other values the engine reports for the node
+ *   - `children` - the nodes whose rows this one consumes
+ * @returns {Object} The node.
+ */
+function buildPlanNode(fields) {
+  return {
+    operation: null,
+    table: null,
+    accessType: null,
+    key: null,
+    possibleKeys: null,
+    estimatedRows: null,
+    actualRows: null,
+    loops: null,
+    cost: null,
+    timeMs: null,
+    condition: null,
+    sort: false,
+    temporary: false,
+    details: {},
+    children: [],
+    ...fields
+  };
+}
+
+/**
+ * Tells the access type of an index lookup from its condition: a range when it compares with
+ * anything but equality, a lookup otherwise.
+ *
+ * @param {string|null} condition - The index condition.
+ * @returns {string} range or lookup.
+ */
+function lookupAccess(condition) {
+  return /[<>]|\bBETWEEN\b|\bLIKE\b/i.test(condition || '') ? 'range' : 'lookup';
+}
+
+/**
+ * Picks the scalar values of a raw plan node, for the details of a normalized node.
+ *
+ * @param {Object} raw - The node as the engine reports it.
+ * @param {string[]} [omit=[]] - Keys already normalized.
+ * @returns {Object} The values.
+ */
+function planDetails(raw, omit = []) {
+  return Object.fromEntries(Object.entries(raw).filter(([key, value]) =>
+    !omit.includes(key) && value !== null && ['string', 'number', 'boolean'].includes(typeof value)));
+}
+
+module.exports = {
+  toNumber,
+  normalizeDefault,
+  groupIndexes,
+  groupForeignKeys,
+  buildTableSchema,
+  buildInsert,
+  countRows,
+  runTransaction,
+  containsPattern,
+  quoteIdentifierAnsi,
+  quoteLiteralAnsi,
+  formatDefault,
+  buildColumnDefinition,
+  buildReferences,
+  buildCreateIndex,
+  buildCreateTable,
+  buildDropStatement,
+  buildPlanNode,
+  lookupAccess,
+  planDetails
+};
@@ -0,0 +1,94 @@
+const { createMariaDbDriver } = require('./mariadb');
+const { createPostgresDriver } = require('./postgres');
+const { createSqliteDriver } = require('./sqlite');
+
+/**
+ * A database driver hides engine differences from the routes in server.js.
+ * Every driver creates its own connection pool from a URI and exposes:
+ *
+ * - `name` and `database` - the driver name and the default database the URI points to
+ *   (undefined if the URI names none)
+ * - `getConnection(database)` - resolves to a connection with `query(sql, params)`, `stream(sql, params)`
+ *   and `release()`, working on the given database or else the default one; statements use `?`
+ *   placeholders on every engine, result sets resolve to an array of row objects and other statements
+ *   to `{ affectedRows, insertId }`; `stream` returns an async iterable of rows that reads the result
+ *   set incrementally instead of buffering it; `transaction(fn)` runs fn inside a transaction on the
+ *   connection, committing if it resolves and rolling back if it throws; `execute(sql, params)` runs
+ *   a query for the SQL console and resolves to `{ results, warnings }`, one result per statement:
+ *   `{ columns, rows }` with each column's name, SQL type, nullability and source table (null where
+ *   the engine cannot tell), or `{ affectedRows, insertId }`; warnings are `{ level, code, message }`
+ * - `listDatabases(conn)` - the databases the connected user may browse
+ * - `quoteIdentifier(name)` - quotes a table or column name
+ * - `quoteLiteral(value)` - formats a value as a SQL literal in the engine's dialect
+ * - `paginate(offset, limit)` - the LIMIT clause (with leading space) and its parameters
+ * - `countRows(conn, tableName, where, params)` - counts rows, optionally filtered
+ * - `estimateRows(conn, tableName)` - a cheap approximate row count from the engine's statistics,
+ *   or null if the engine has none for the table
+ * - `listTables(conn)` and `getTableSchema(conn, tableName)` - introspection; indexes are flagged
+ *   `fulltext` for FULLTEXT indexes, PostgreSQL to_tsvector indexes and SQLite FTS tables
+ * - `containsCondition(column, text, params)` - a condition matching values of a column that contain
+ *   a text, ignoring case where the engine's LIKE does not; the parameters are appended to params
+ * - `fullTextCondition(schema, index, text, params)` - a condition matching rows whose fulltext index
+ *   finds the text as a phrase, appending its parameters to params
+ * - `getSchemaObjects(conn)` - the tables, views, routines and triggers, each with its `ddl`: the
+ *   CREATE statements (without terminators) as the engine reports them, or null where it has none
+ * - `columnDefinition(column)`, `createTableStatements(schema)` and `createIndexStatement(tableName, index)` -
+ *   DDL for the columns, tables and indexes of table schemas
+ * - `alterColumnStatements(tableName, from, to)` and `addForeignKeyStatement(tableName, foreignKey)` -
+ *   statements changing a column to another definition and adding a foreign key, or null where the
+ *   engine cannot do it without rebuilding the table
+ * - `dropStatement(kind, object)` - the statement dropping a table, view, column, index, foreignKey,
+ *   routine or trigger (given with its table where it has one), or null where the engine cannot
+ * - `tableVersion(conn, tableName)` - a string that changes when the table's rows are written, for
+ *   noticing changes by polling: a checksum of the rows on MariaDB/MySQL, the write counters of the
+ *   statistics collector on PostgreSQL, the row count and largest key with the database's change
+ *   counters on SQLite (which also change on writes to other tables)
+ * - `lastModified(conn, tableName)` - when the table's rows or definition last changed, as a Date, or
+ *   null where the engine does not tell exactly (only MariaDB/MySQL do, from UPDATE_TIME)
+ * - `explain(conn, sql, params, { analyze })` - the plan of a statement, resolving to `{ plan, analyzed,
+ *   planningTimeMs, executionTimeMs }`: a tree of nodes built with buildPlanNode (drivers/common.js), and
+ *   whether it was analyzed (the statement run to measure actual rows and times) where the engine can
+ * - `insert(conn, schema, values)` - inserts a row and resolves to its primary key values
+ * - `isConflictError(err)` - whether an error is a key or foreign key violation
+ * - `end()` - closes the pool
+ */
+
+// Driver factories by URI scheme
+const DRIVERS = {
+  'mysql:': createMariaDbDriver,
+  'mariadb:': createMariaDbDriver,
+  'postgres:': createPostgresDriver,
+  'postgresql:': createPostgresDriver,
+  'sqlite:': createSqliteDriver
+};
+
+/**
+ * Creates the driver matching the scheme of a connection URI.
+ *
+ * @param {string} uri - The connection URI (mysql://, mariadb://, postgres://, postgresql:// or sqlite:).
+ * @param {Object} [options]
+ * @param {boolean} [options.readOnly=false] - Open every database session read-only, so writes fail
+ *   in the database itself even if a statement slips past the statement guard.
+ * @returns {Object} The driver.
+ * @throws {Error} If the URI is invalid or its scheme is not supported.
+ */
+function createDriver(uri, options = {}) {
+  if (!uri || typeof uri !== 'string') {
+    throw new Error('Invalid database URI provided.');
+  }
+
+  let protocol;
+  try {
+    protocol = new URL(uri).protocol;
+  } catch (error) {
+    throw new Error(`Invalid database URI format: ${uri}`);
+  }
+
+  const factory = DRIVERS[protocol];
+  if (!factory) {
+    throw new Error(`Unsupported database URI scheme '${protocol}'. Supported schemes: ${Object.keys(DRIVERS).join(' ')}`);
+  }
+  return factory(uri, options);
+}
+
+module.exports = { createDriver };
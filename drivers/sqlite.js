@@ -0,0 +1,517 @@
+const {
+  normalizeDefault,
+  groupIndexes,
+  groupForeignKeys,
+  buildTableSchema,
+  buildInsert,
+  countRows,
+  runTransaction,
+  containsPattern,
+  quoteIdentifierAnsi,
+  quoteLiteralAnsi,
+  buildColumnDefinition,
+  buildCreateIndex,
+  buildCreateTable,
+  buildDropStatement,
+  buildPlanNode,
+  lookupAccess
+} = require('./common');
+const { classifyStatements, splitStatements } = require('../guard');
+
+// SQLite extended result codes that mean the write conflicts with a key or foreign key constraint
+const CONFLICT_ERRCODES = [
+  787,  // SQLITE_CONSTRAINT_FOREIGNKEY
+  1555, // SQLITE_CONSTRAINT_PRIMARYKEY
+  2067  // SQLITE_CONSTRAINT_UNIQUE
+];
+
+/**
+ * Loads the built-in node:sqlite module, which needs Node.js 22.16 or later: earlier versions have it
+ * behind a flag or without StatementSync#columns, which describes result sets.
+ *
+ * @returns {Object} The node:sqlite module.
+ * @throws {Error} If this Node.js version has no built-in SQLite, or one too old for the driver.
+ */
+function loadSqlite() {
+  let sqlite;
+  try {
+    sqlite = require('node:sqlite');
+  } catch (error) {
+    sqlite = null;
+  }
+  if (!sqlite || typeof sqlite.StatementSync.prototype.columns !== 'function') {
+    throw new Error(`SQLite support requires Node.js 22.16 or later (running ${process.version})`);
+  }
+  return sqlite;
+}
+
+/**
+ * Parses a sqlite: URI into a database file name and open options.
+ * Accepts sqlite:///absolute/path.db, sqlite://./relative/path.db, sqlite:relative.db and sqlite::memory:,
+ * plus `?mode=ro` to open the file read-only.
+ *
+ * @param {string} uri - The connection URI.
+ * @returns {{filename: string, readOnly: boolean}} The file to open and whether to open it read-only.
+ */
+function parseSqliteUri(uri) {
+  const url = new URL(uri);
+  const filename = decodeURIComponent(url.hostname + url.pathname);
+  if (!filename) {
+    throw new Error(`Invalid SQLite URI, no database file given: ${uri}`);
+  }
+  return { filename, readOnly: url.searchParams.get('mode') === 'ro' };
+}
+
+/**
+ * Converts a parameter to a type node:sqlite can bind (null, number, bigint, string or bytes).
+ *
+ * @param {*} value - The parameter value.
+ * @returns {*} The bindable value.
+ */
+function toSqliteValue(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (typeof value === 'boolean') {
+    return value ? 1 : 0;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (typeof value === 'object' && !(value instanceof Uint8Array)) {
+    return JSON.stringify(value);
+  }
+  return value;
+}
+
+/**
+ * Runs a statement on a node:sqlite database, returning an array of rows for statements
+ * that produce columns, otherwise `{ affectedRows, insertId }`.
+ *
+ * @param {DatabaseSync} db - The database.
+ * @param {string} sql - The statement, with `?` placeholders.
+ * @param {Array} [params=[]] - The parameters.
+ * @returns {Array|Object} The normalized result.
+ */
+function runStatement(db, sql, params = []) {
+  const statement = db.prepare(sql);
+  const values = params.map(toSqliteValue);
+  if (statement.columns().length > 0) {
+    return statement.all(...values);
+  }
+  const result = statement.run(...values);
+  return { affectedRows: Number(result.changes), insertId: result.lastInsertRowid };
+}
+
+/**
+ * Runs a statement on a node:sqlite database for the `execute` connection method, describing the
+ * columns of its result set. Column types are the declared types, so expressions have none.
+ *
+ * @param {DatabaseSync} db - The database.
+ * @param {string} sql - A single statement, with `?` placeholders.
+ * @param {Array} [params=[]] - The parameters.
+ * @returns {Object} `{ columns, rows }` or `{ affectedRows, insertId }`.
+ */
+function executeStatement(db, sql, params = []) {
+  const statement = db.prepare(sql);
+  const values = params.map(toSqliteValue);
+  const columns = statement.columns();
+  if (columns.length === 0) {
+    const result = statement.run(...values);
+    // changes and lastInsertRowid keep the counts of the connection's last write, whatever the statement
+    const [{ kind, keyword }] = classifyStatements(sql, 'sqlite');
+    return {
+      affectedRows: kind === 'dml' ? Number(result.changes) : 0,
+      insertId: result.changes > 0 && /\b(INSERT|REPLACE)\b/.test(keyword) ? result.lastInsertRowid : null
+    };
+  }
+
+  const tableColumns = new Map();
+  const describe = column => {
+    if (column.table === null) {
+      return { name: column.name, type: null, nullable: null, table: null };
+    }
+    if (!tableColumns.has(column.table)) {
+      const rows = db.prepare('SELECT * FROM pragma_table_info(?)').all(column.table);
+      // An INTEGER PRIMARY KEY aliases the rowid, which is never NULL
+      const rowidAlias = rows.filter(row => row.pk > 0).length === 1 &&
+        rows.some(row => row.pk > 0 && /^integer$/i.test(row.type));
+      tableColumns.set(column.table, new Map(rows.map(row => [row.name, row.notnull === 0 && !(rowidAlias && row.pk > 0)])));
+    }
+    const nullable = tableColumns.get(column.table).get(column.column);
+    return {
+      name: column.name,
+      type: column.type ? column.type.replace(/\s*\(.*$/, '').toLowerCase() : null,
+      nullable: nullable === undefined ? null : nullable,
+      table: column.table
+    };
+  };
+  return { columns: columns.map(describe), rows: statement.all(...values) };
+}
+
+/**
+ * Lists the tables and views of the database.
+ *
+ * @param {Object} conn - A driver connection.
+ * @returns {Promise<string[]>} The table names.
+ */
+async function listTables(conn) {
+  const rows = await conn.query(
+    `SELECT name FROM sqlite_master
+      WHERE type IN ('table', 'view') AND name NOT LIKE 'sqlite_%'
+      ORDER BY name`
+  );
+  return rows.map(row => row.name);
+}
+
+/**
+ * Reads the structure of a table from the SQLite pragmas: columns, primary key,
+ * indexes and foreign keys.
+ *
+ * @param {Object} conn - A driver connection.
+ * @param {string} tableName - The name of the table to describe.
+ * @returns {Promise<Object>} The table schema.
+ */
+async function getTableSchema(conn, tableName) {
+  const columnRows = await conn.query('SELECT * FROM pragma_table_info(?) ORDER BY cid', [tableName]);
+  const indexList = await conn.query('SELECT * FROM pragma_index_list(?)', [tableName]);
+  const foreignKeyRows = await conn.query('SELECT * FROM pragma_foreign_key_list(?) ORDER BY id, seq', [tableName]);
+
+  // The pk column of table_info gives each key column's position in the primary key
+  const primaryKey = columnRows
+    .filter(row => row.pk > 0)
+    .sort((a, b) => a.pk - b.pk)
+    .map(row => row.name);
+
+  const indexRows = [];
+  for (const index of indexList) {
+    const indexColumns = await conn.query('SELECT * FROM pragma_index_info(?) ORDER BY seqno', [index.name]);
+    for (const column of indexColumns) {
+      indexRows.push({
+        name: index.name,
+        primary: index.origin === 'pk',
+        unique: index.unique === 1,
+        column: column.name
+      });
+    }
+  }
+
+  // An INTEGER PRIMARY KEY aliases the rowid: it has no index of its own and auto-increments
+  const rowidAlias = primaryKey.length === 1 &&
+    /^integer$/i.test(columnRows.find(row => row.name === primaryKey[0]).type);
+  const indexes = groupIndexes(indexRows);
+  if (primaryKey.length > 0 && !indexes.some(idx => idx.primary)) {
+    indexes.unshift({ name: 'PRIMARY', primary: true, unique: true, fulltext: false, columns: primaryKey });
+  }
+
+  // An FTS virtual table is its own fulltext index over all its columns
+  const [definition] = await conn.query('SELECT sql FROM sqlite_master WHERE name = ?', [tableName]);
+  if (definition && /^\s*create\s+virtual\s+table\b[\s\S]*\busing\s+fts[345]\b/i.test(definition.sql || '')) {
+    indexes.push({ name: tableName, primary: false, unique: false, fulltext: true, columns: columnRows.map(row => row.name) });
+  }
+
+  const columns = columnRows.map(row => {
+    const size = /\(\s*(\d+)(?:\s*,\s*(\d+))?\s*\)/.exec(row.type || '');
+    return {
+      name: row.name,
+      position: row.cid + 1,
+      type: (row.type || '').replace(/\s*\(.*$/, '').toLowerCase(),
+      columnType: row.type,
+      nullable: row.notnull === 0 && !(rowidAlias && row.name === primaryKey[0]),
+      default: normalizeDefault(row.dflt_value),
+      autoIncrement: rowidAlias && row.name === primaryKey[0],
+      maxLength: size && /char|text|clob/i.test(row.type) ? Number(size[1]) : null,
+      precision: size && !/char|text|clob/i.test(row.type) ? Number(size[1]) : null,
+      scale: size && size[2] !== undefined ? Number(size[2]) : null,
+      comment: null
+    };
+  });
+
+  const foreignKeys = groupForeignKeys(foreignKeyRows.map(row => ({
+    name: `fk_${tableName}_${row.id}`,
+    column: row.from,
+    referencedSchema: 'main',
+    referencedTable: row.table,
+    referencedColumn: row.to,
+    onUpdate: row.on_update,
+    onDelete: row.on_delete
+  })));
+
+  return buildTableSchema(tableName, columns, indexes, foreignKeys, primaryKey);
+}
+
+/**
+ * Reads the DDL of the schema objects from sqlite_master: the CREATE statements of the tables (with
+ * those of their indexes), views and triggers as they were written. The shadow tables of virtual
+ * tables are left out, as creating the virtual table creates them. SQLite has no stored routines.
+ *
+ * @param {Object} conn - A driver connection.
+ * @returns {Promise<Object>} The tables, views, routines and triggers, each with its name and `ddl`
+ *   statements; triggers also name their table.
+ */
+async function getSchemaObjects(conn) {
+  const rows = await conn.query(
+    `SELECT m.type, m.name, m.tbl_name, m.sql
+       FROM sqlite_master m
+       LEFT JOIN pragma_table_list l ON l.schema = 'main' AND l.name = m.name
+      WHERE m.sql IS NOT NULL AND m.name NOT LIKE 'sqlite_%' AND COALESCE(l.type, '') <> 'shadow'
+      ORDER BY m.name`
+  );
+  const ofType = type => rows.filter(row => row.type === type);
+  return {
+    tables: ofType('table').map(row => ({
+      name: row.name,
+      ddl: [row.sql, ...ofType('index').filter(index => index.tbl_name === row.name).map(index => index.sql)]
+    })),
+    views: ofType('view').map(row => ({ name: row.name, ddl: [row.sql] })),
+    routines: [],
+    triggers: ofType('trigger').map(row => ({ name: row.name, table: row.tbl_name, ddl: [row.sql] }))
+  };
+}
+
+// A table read in an EXPLAIN QUERY PLAN line: SCAN or SEARCH, the table (and alias), the index and the condition
+const PLAN_ACCESS_PATTERN = /^(SCAN|SEARCH)(?: TABLE)? (\S+)(?: AS \S+)?( VIRTUAL TABLE)?(?: USING (?:(?:COVERING )?INDEX (\S+)|(INTEGER PRIMARY KEY|PRIMARY KEY)))?(?: \((.*)\))?/;
+
+/**
+ * Normalizes a line of EXPLAIN QUERY PLAN output. SQLite reports no row estimates or costs, only how
+ * each table is read and where temporary b-trees sort or group rows.
+ *
+ * @param {string} detail - The line.
+ * @returns {Object} The plan node (see buildPlanNode), without children.
+ */
+function planNode(detail) {
+  const access = PLAN_ACCESS_PATTERN.exec(detail);
+  if (!access) {
+    const temporary = /^USE TEMP B-TREE FOR (.+)$/.exec(detail);
+    return buildPlanNode({
+      operation: detail,
+      sort: Boolean(temporary) && /ORDER BY/.test(temporary[1]),
+      temporary: Boolean(temporary) && !/ORDER BY/.test(temporary[1]),
+      details: { detail }
+    });
+  }
+  const [, operation, table, virtual, index, primaryKey, condition] = access;
+  let accessType = null;
+  if (!virtual) {
+    if (operation === 'SCAN') {
+      accessType = index ? 'index-scan' : 'full-scan';
+    } else {
+      accessType = primaryKey === 'INTEGER PRIMARY KEY' && /^rowid=\?$/.test(condition || '') ? 'unique-lookup' : lookupAccess(condition);
+    }
+  }
+  return buildPlanNode({
+    operation,
+    table,
+    accessType,
+    key: index || primaryKey || null,
+    condition: condition || null,
+    details: { detail }
+  });
+}
+
+// Indexes SQLite creates for the UNIQUE constraints of a table, which cannot be created or dropped by name
+const AUTOINDEX_PREFIX = 'sqlite_autoindex_';
+
+/**
+ * Creates the SQLite driver for a sqlite: URI, using Node's built-in node:sqlite module.
+ * SQLite is embedded, so all requests share a single connection to the file.
+ *
+ * @param {string} uri - The connection URI (e.g., "sqlite:///var/data/app.db").
+ * @param {Object} [options] - Driver options (see drivers/index.js).
+ * @returns {Object} The driver (see drivers/index.js).
+ */
+function createSqliteDriver(uri, { readOnly = false } = {}) {
+  const { DatabaseSync } = loadSqlite();
+  const { filename, readOnly: readOnlyFile } = parseSqliteUri(uri);
+  const db = new DatabaseSync(filename, { readOnly: readOnlyFile });
+  db.exec('PRAGMA foreign_keys = ON');
+  if (readOnly) {
+    // query_only rejects every write, whatever the statement
+    db.exec('PRAGMA query_only = ON');
+  }
+
+  // All requests share the one connection, so while a request has a transaction open, statements from
+  // other requests wait for it to end instead of running inside it
+  let openTransaction = null;
+
+  /**
+   * Returns the end of a transaction another connection has open. Callers wait for it in a loop and
+   * run their statement right after, with no await in between, so no transaction can start in the gap.
+   *
+   * @param {Object} connection - The connection about to run a statement.
+   * @returns {Promise<void>|null} Resolves when the transaction ends, or null if there is none.
+   */
+  function otherTransaction(connection) {
+    return openTransaction && openTransaction.owner !== connection ? openTransaction.done : null;
+  }
+
+  const driver = {
+    name: 'sqlite',
+    database: 'main',
+    quoteIdentifier: quoteIdentifierAnsi,
+    quoteLiteral: value => quoteLiteralAnsi(value),
+    // Attached databases would need every statement qualified with their name, so only the main one is browsable
+    listDatabases: async () => ['main'],
+    listTables,
+    getTableSchema,
+    getSchemaObjects,
+
+    // An INTEGER PRIMARY KEY auto-increments without a clause of its own
+    columnDefinition: column => buildColumnDefinition(driver, column),
+
+    createTableStatements: schema => buildCreateTable(driver, schema, {
+      inlineUnique: index => index.name.startsWith(AUTOINDEX_PREFIX)
+    }),
+
+    createIndexStatement(tableName, index) {
+      // An FTS table is its own fulltext index
+      return index.fulltext ? null : buildCreateIndex(driver, tableName, index);
+    },
+
+    // ALTER TABLE cannot change columns or constraints; the table has to be rebuilt instead
+    alterColumnStatements: () => null,
+    addForeignKeyStatement: () => null,
+
+    dropStatement(kind, object) {
+      if (kind === 'foreignKey' || (kind === 'index' && object.name.startsWith(AUTOINDEX_PREFIX))) {
+        return null;
+      }
+      return buildDropStatement(driver, kind, object);
+    },
+
+    async getConnection(databaseName = 'main') {
+      if (databaseName !== 'main') {
+        throw new Error(`Unknown database '${databaseName}': a SQLite file has only the main database`);
+      }
+      const connection = {
+        query: async (sql, params) => {
+          let pending;
+          while ((pending = otherTransaction(connection))) await pending;
+          return runStatement(db, sql, params);
+        },
+        execute: async (sql, params) => {
+          let pending;
+          while ((pending = otherTransaction(connection))) await pending;
+          // prepare() compiles the first statement only, so multi-statement queries run one by one
+          const statements = splitStatements(sql, 'sqlite');
+          if (statements.length > 1 && params && params.length > 0) {
+            throw new Error('Parameters cannot be bound in a multi-statement query');
+          }
+          const results = statements.length > 1
+            ? statements.map(statement => executeStatement(db, statement))
+            : [executeStatement(db, sql, params)];
+          // SQLite reports problems as errors only
+          return { results, warnings: [] };
+        },
+        stream: async function* (sql, params = []) {
+          let pending;
+          while ((pending = otherTransaction(connection))) await pending;
+          yield* db.prepare(sql).iterate(...params.map(toSqliteValue));
+        },
+        transaction: async fn => {
+          let pending;
+          while ((pending = otherTransaction(connection))) await pending;
+          let finish;
+          openTransaction = { owner: connection, done: new Promise(resolve => { finish = resolve; }) };
+          try {
+            return await runTransaction(sql => runStatement(db, sql), fn);
+          } finally {
+            openTransaction = null;
+            finish();
+          }
+        },
+        release: () => {}
+      };
+      return connection;
+    },
+
+    paginate(offset, limit) {
+      return { sql: ' LIMIT ? OFFSET ?', params: [limit, offset] };
+    },
+
+    containsCondition(column, text, params) {
+      // SQLite's LIKE ignores the case of ASCII letters
+      params.push(containsPattern(text));
+      return `${quoteIdentifierAnsi(column)} LIKE ? ESCAPE '!'`;
+    },
+
+    fullTextCondition(schema, index, text, params) {
+      // MATCH on the table name searches every column of the FTS table; the text is quoted as a phrase
+      params.push(`"${String(text).replace(/"/g, '""')}"`);
+      return `${quoteIdentifierAnsi(schema.name)} MATCH ?`;
+    },
+
+    countRows: (conn, tableName, where, params) => countRows(driver, conn, tableName, where, params),
+
+    async explain(conn, sql, params) {
+      // EXPLAIN QUERY PLAN lists the lines with the id of their parent line, 0 at the top; there is no ANALYZE
+      const rows = await conn.query(`EXPLAIN QUERY PLAN ${sql}`, params);
+      const root = buildPlanNode({ operation: 'QUERY PLAN' });
+      const nodes = new Map([[0, root]]);
+      rows.forEach(row => {
+        const node = planNode(row.detail);
+        nodes.set(row.id, node);
+        (nodes.get(row.parent) || root).children.push(node);
+      });
+      return { plan: root, analyzed: false };
+    },
+
+    async estimateRows(conn, tableName) {
+      // SQLite keeps no row count; the largest rowid is found through the table's b-tree without a scan
+      // and matches the count unless rows were deleted. Views and WITHOUT ROWID tables have no rowid.
+      try {
+        const rows = await conn.query(`SELECT MAX(rowid) AS estimate FROM ${quoteIdentifierAnsi(tableName)}`);
+        return rows[0].estimate === null ? 0 : Number(rows[0].estimate);
+      } catch (error) {
+        return null;
+      }
+    },
+
+    async tableVersion(conn, tableName) {
+      // SQLite keeps no change counter per table, only for the database: data_version changes when
+      // another connection commits, total_changes() counts the rows this connection wrote. Updates are
+      // seen through them, at the cost of also reporting writes to other tables; the row count and
+      // largest key tell the table's inserts and deletes apart from those
+      const schema = await getTableSchema(conn, tableName);
+      const table = quoteIdentifierAnsi(tableName);
+      const key = schema.primaryKey.length > 0 ? quoteIdentifierAnsi(schema.primaryKey[0]) : 'rowid';
+      const counters = 'total_changes() AS changes, (SELECT data_version FROM pragma_data_version) AS dataVersion';
+      let rows;
+      try {
+        rows = await conn.query(`SELECT COUNT(*) AS count, MAX(${key}) AS max, ${counters} FROM ${table}`);
+      } catch (error) {
+        // Views have no rowid
+        rows = await conn.query(`SELECT COUNT(*) AS count, NULL AS max, ${counters} FROM ${table}`);
+      }
+      const [{ count, max, changes, dataVersion }] = rows;
+      return `${count}:${max}:${changes}:${dataVersion}`;
+    },
+
+    async lastModified() {
+      // SQLite does not record when a table was written
+      return null;
+    },
+
+    async insert(conn, schema, values) {
+      const { sql, params } = buildInsert(driver, schema.name, values, 'DEFAULT VALUES');
+      // Without a primary key there is no key to return
+      if (schema.primaryKey.length === 0) {
+        await conn.query(sql, params);
+        return [];
+      }
+      const returning = schema.primaryKey.map(quoteIdentifierAnsi).join(', ');
+      const rows = await conn.query(`${sql} RETURNING ${returning}`, params);
+      return schema.primaryKey.map(column => rows[0][column]);
+    },
+
+    isConflictError(err) {
+      return CONFLICT_ERRCODES.includes(err.errcode);
+    },
+
+    end: async () => db.close()
+  };
+
+  return driver;
+}
+
+module.exports = { createSqliteDriver };
@@ -0,0 +1,53 @@
+/**
+ * An error that maps directly to a JSON:API error object with an HTTP status.
+ * Thrown by request helpers (e.g. query-string parsing) and translated by the route handlers.
+ */
+class ApiError extends Error {
+  /**
+   * @param {number} status - The HTTP status code.
+   * @param {string} title - A short, human-readable summary of the problem.
+   * @param {string} detail - A human-readable explanation specific to this occurrence.
+   * @param {string} [code] - An application-specific error code, e.g. the guard rule that fired.
+   */
+  constructor(status, title, detail, code) {
+    super(detail);
+    this.name = 'ApiError';
+    this.status = status;
+    this.title = title;
+    this.code = code;
+  }
+}
+
+/**
+ * Sends a JSON:API error document.
+ *
+ * @param {express.Response} res - The Express response.
+ * @param {number} status - The HTTP status code.
+ * @param {string} title - A short, human-readable summary of the problem.
+ * @param {string} detail - A human-readable explanation specific to this occurrence.
+ * @param {string} [code] - An application-specific error code.
+ * @returns {express.Response} The response, for chaining.
+ */
+function sendError(res, status, title, detail, code) {
+  return res.status(status).json({
+    errors: [{
+      status: String(status),
+      ...(code ? { code } : {}),
+      title,
+      detail
+    }]
+  });
+}
+
+/**
+ * Sends an ApiError as a JSON:API error document.
+ *
+ * @param {express.Response} res - The Express response.
+ * @param {ApiError} err - The error.
+ * @returns {express.Response} The response, for chaining.
+ */
+function sendApiError(res, err) {
+  return sendError(res, err.status, err.title, err.message, err.code);
+}
+
+module.exports = { ApiError, sendError, sendApiError };
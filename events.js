@@ -0,0 +1,141 @@
+// How often watched tables are polled for changes made outside the API, in milliseconds
+const POLL_INTERVAL = 2000;
+
+// How often an event stream sends a comment, so proxies do not close it while the table is quiet
+const HEARTBEAT_INTERVAL = 25000;
+
+/**
+ * Creates the change notifications of tables. Writes made through the API are announced as they
+ * happen; other writes (raw SQL, other clients of the database) are found by polling the driver's
+ * `tableVersion` of each watched table. A table is only polled while someone is watching it.
+ *
+ * @param {Object} driver - The database driver.
+ * @param {Object} [options]
+ * @param {number} [options.pollInterval=POLL_INTERVAL] - Milliseconds between polls of a watched table.
+ * @returns {Object} The notifications: `subscribe(database, table, send)`, returning the function that
+ *   unsubscribes, `notify(database, table, change)` and `check(database)`.
+ */
+function createTableEvents(driver, { pollInterval = POLL_INTERVAL } = {}) {
+  // Watched tables by database and name: their subscribers, last version and poll timer
+  const watches = new Map();
+  const watchKey = (database, table) => JSON.stringify([database, table]);
+
+  const emit = (watch, event, data) => {
+    for (const send of watch.subscribers) {
+      send(event, data);
+    }
+  };
+
+  /**
+   * Reads the version of a watched table and announces a change if it differs from the last one.
+   * A failing poll (e.g. the table was dropped) is announced once as a poll-error event.
+   *
+   * @param {Object} watch - The watch.
+   * @param {boolean} [quiet=false] - Only record the version, as after a change already announced.
+   * @returns {Promise<void>}
+   */
+  const poll = async (watch, quiet = false) => {
+    if (watch.polling) {
+      return watch.polling;
+    }
+    watch.polling = (async () => {
+      let conn;
+      try {
+        conn = await driver.getConnection(watch.database);
+        const version = await driver.tableVersion(conn, watch.table);
+        if (!quiet && watch.version !== undefined && version !== watch.version) {
+          emit(watch, 'change', {
+            table: watch.table,
+            database: watch.database,
+            source: 'poll',
+            action: null,
+            rowId: null,
+            user: null,
+            timestamp: new Date().toISOString()
+          });
+        }
+        watch.version = version;
+        watch.error = null;
+      } catch (err) {
+        if (watch.error !== err.message) {
+          emit(watch, 'poll-error', { table: watch.table, database: watch.database, detail: err.message });
+        }
+        watch.error = err.message;
+      } finally {
+        if (conn) await conn.release();
+        watch.polling = null;
+      }
+    })();
+    return watch.polling;
+  };
+
+  return {
+    /**
+     * Subscribes to the changes of a table.
+     *
+     * @param {string} database - The database of the table.
+     * @param {string} table - The table name.
+     * @param {function(string, Object): void} send - Called with the event name (change or poll-error) and its data.
+     * @returns {function(): void} Unsubscribes; the table is no longer polled once nobody watches it.
+     */
+    subscribe(database, table, send) {
+      const key = watchKey(database, table);
+      let watch = watches.get(key);
+      if (!watch) {
+        watch = { database, table, subscribers: new Set(), version: undefined, error: null, polling: null };
+        watch.timer = setInterval(() => poll(watch), pollInterval);
+        watch.timer.unref();
+        watches.set(key, watch);
+        poll(watch, true);
+      }
+      watch.subscribers.add(send);
+      return () => {
+        watch.subscribers.delete(send);
+        if (watch.subscribers.size === 0 && watches.get(key) === watch) {
+          clearInterval(watch.timer);
+          watches.delete(key);
+        }
+      };
+    },
+
+    /**
+     * Announces a write made through the API to the table's subscribers, without waiting for a poll.
+     *
+     * @param {string} database - The database of the table.
+     * @param {string} table - The table name.
+     * @param {Object} change - What happened: `action` (insert, update, delete or import), `rowId` and `user`.
+     */
+    notify(database, table, change) {
+      const watch = watches.get(watchKey(database, table));
+      if (!watch) {
+        return;
+      }
+      emit(watch, 'change', {
+        table,
+        database,
+        source: 'api',
+        action: change.action,
+        rowId: change.rowId ?? null,
+        user: change.user ?? null,
+        timestamp: new Date().toISOString()
+      });
+      // The next poll must not announce this change again
+      poll(watch, true);
+    },
+
+    /**
+     * Polls every watched table of a database now, after raw SQL that may have written to any of them.
+     *
+     * @param {string} database - The database.
+     */
+    check(database) {
+      for (const watch of watches.values()) {
+        if (watch.database === database) {
+          poll(watch);
+        }
+      }
+    }
+  };
+}
+
+module.exports = { HEARTBEAT_INTERVAL, createTableEvents };
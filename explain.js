@@ -0,0 +1,91 @@
+const { ApiError } = require('./errors');
+
+// Statements the engines can explain, by their first keyword
+const EXPLAINABLE_KEYWORDS = ['SELECT', 'WITH', 'VALUES', 'TABLE', 'INSERT', 'UPDATE', 'DELETE', 'REPLACE'];
+
+// Rows a node reads (or is estimated to read) from which it is expensive even without a warning
+const EXPENSIVE_ROWS = 10000;
+
+// How far apart estimated and actual rows must be, as a factor and in rows, to be a misestimate
+const MISESTIMATE_FACTOR = 10;
+const MISESTIMATE_MIN_ROWS = 100;
+
+/**
+ * Checks that a query can be explained: a single SELECT or DML statement, and only a read when the
+ * plan is analyzed, since analyzing runs the statement.
+ *
+ * @param {Array<{kind: string, keyword: string}>} statements - The statements, as classified by the guard.
+ * @param {boolean} analyze - Whether the plan is to be analyzed.
+ * @throws {ApiError} If the query cannot be explained.
+ */
+function checkExplainable(statements, analyze) {
+  if (statements.length !== 1) {
+    throw new ApiError(400, 'Bad Request', 'Only a single statement can be explained');
+  }
+  const [{ kind, keyword }] = statements;
+  if (!EXPLAINABLE_KEYWORDS.includes(keyword.split(' ')[0])) {
+    throw new ApiError(400, 'Bad Request', `${keyword} statements cannot be explained`);
+  }
+  if (analyze && kind !== 'read') {
+    throw new ApiError(403, 'Forbidden', `Analyzing runs the statement; only read statements may be analyzed, not ${keyword}`,
+      'analyze-not-allowed');
+  }
+}
+
+/**
+ * Tells what is wrong with a plan node: full scans, sorts without an index, temporary tables and row
+ * estimates far from the rows actually read.
+ *
+ * @param {Object} node - A plan node (see buildPlanNode in drivers/common.js).
+ * @returns {Array<{code: string, message: string}>} The warnings.
+ */
+function nodeWarnings(node) {
+  const warnings = [];
+  const table = node.table ? ` of table '${node.table}'` : '';
+  if (node.accessType === 'full-scan') {
+    const rows = node.estimatedRows === null ? '' : ` (about ${node.estimatedRows} rows)`;
+    warnings.push({ code: 'full-scan', message: `Full scan${table}${rows}: every row is read` });
+  } else if (node.accessType === 'index-scan') {
+    warnings.push({ code: 'full-index-scan', message: `Full scan of index '${node.key}'${table}` });
+  }
+  if (node.sort) {
+    warnings.push({ code: 'filesort', message: 'Rows are sorted without an index (filesort)' });
+  }
+  if (node.temporary) {
+    warnings.push({ code: 'temporary-table', message: 'A temporary table, or files on disk, hold intermediate rows' });
+  }
+  if (node.estimatedRows !== null && node.actualRows !== null &&
+      Math.abs(node.actualRows - node.estimatedRows) >= MISESTIMATE_MIN_ROWS &&
+      Math.max(node.actualRows, node.estimatedRows) >= MISESTIMATE_FACTOR * Math.max(1, Math.min(node.actualRows, node.estimatedRows))) {
+    warnings.push({
+      code: 'misestimate',
+      message: `${node.estimatedRows} rows were estimated but ${node.actualRows} read; the table statistics may be stale`
+    });
+  }
+  return warnings;
+}
+
+/**
+ * Annotates a plan in place: every node gets an `id` giving its position (1, 1.1, 1.2, 1.1.1, ...),
+ * its `warnings`, and `expensive` when it has warnings or reads at least EXPENSIVE_ROWS rows over all
+ * its loops.
+ *
+ * @param {Object} plan - The root plan node, from a driver's explain.
+ * @returns {Array<{node: string, table: (string|null), code: string, message: string}>} The warnings of
+ *   every node, in plan order.
+ */
+function annotatePlan(plan) {
+  const warnings = [];
+  const visit = (node, id) => {
+    node.id = id;
+    node.warnings = nodeWarnings(node);
+    const rows = node.actualRows ?? node.estimatedRows;
+    node.expensive = node.warnings.length > 0 || (rows !== null && rows * (node.loops || 1) >= EXPENSIVE_ROWS);
+    warnings.push(...node.warnings.map(warning => ({ node: id, table: node.table, ...warning })));
+    node.children.forEach((child, i) => visit(child, `${id}.${i + 1}`));
+  };
+  visit(plan, '1');
+  return warnings;
+}
+
+module.exports = { checkExplainable, annotatePlan };
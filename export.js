@@ -0,0 +1,181 @@
+const { ApiError } = require('./errors');
+const { toJsonValue } = require('./types');
+
+// Export formats by name, with the media type and file extension of each
+const EXPORT_FORMATS = {
+  csv: { type: 'text/csv', contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { type: 'application/x-ndjson', contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+  sql: { type: 'application/sql', contentType: 'application/sql; charset=utf-8', extension: 'sql' }
+};
+
+// Media types served as JSON:API; listed first so that `Accept: */*` keeps the JSON:API response
+const JSON_TYPES = ['application/vnd.api+json', 'application/json'];
+
+/**
+ * Picks the export format of a request, from an explicit `format` value or else the Accept header.
+ *
+ * @param {express.Request} req - The Express request.
+ * @param {string} [format] - The requested format (e.g. the `format` query parameter), if any.
+ * @returns {string|null} The export format name, or null for a regular JSON:API response.
+ * @throws {ApiError} If an unknown format is requested.
+ */
+function negotiateExportFormat(req, format) {
+  if (format !== undefined && format !== null && format !== '') {
+    if (format === 'json' || format === 'jsonapi') {
+      return null;
+    }
+    if (typeof format !== 'string' || !EXPORT_FORMATS[format]) {
+      throw new ApiError(400, 'Bad Request',
+        `Unknown format '${format}'. Use one of: json, ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    }
+    return format;
+  }
+  const accepted = req.accepts([...JSON_TYPES, ...Object.values(EXPORT_FORMATS).map(({ type }) => type)]);
+  const name = Object.keys(EXPORT_FORMATS).find(key => EXPORT_FORMATS[key].type === accepted);
+  return name || null;
+}
+
+/**
+ * Converts a value to the form written to text exports: the JSON form of table data and query
+ * results, except that binary values are written in full as base64.
+ *
+ * @param {*} value - A column value.
+ * @param {string} [type] - The SQL type of the column, when known.
+ * @returns {*} The exportable value.
+ */
+function exportValue(value, type) {
+  return toJsonValue(value, type, { base64Binary: true });
+}
+
+/**
+ * Formats a value as a CSV field (RFC 4180). NULL is written as an empty unquoted field,
+ * so it stays distinguishable from the empty string, which is written as `""`.
+ *
+ * @param {*} value - A column value.
+ * @param {string} [type] - The SQL type of the column, when known.
+ * @returns {string} The CSV field.
+ */
+function csvField(value, type) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const exported = exportValue(value, type);
+  const text = typeof exported === 'object' ? JSON.stringify(exported) : String(exported);
+  if (text === '' || /[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Returns the functions that turn rows into lines of an export format.
+ *
+ * @param {string} format - The export format name.
+ * @param {Object} driver - The database driver, for SQL quoting.
+ * @param {string} tableName - The table named in SQL INSERT statements.
+ * @param {Object<string, string>} [types={}] - The SQL type of each column, by name.
+ * @returns {{header: function(string[]): string, row: function(Object, string[]): string}} The line formatters.
+ */
+function lineFormatter(format, driver, tableName, types = {}) {
+  switch (format) {
+    case 'csv':
+      return {
+        header: columns => `${columns.map(column => csvField(column)).join(',')}\r\n`,
+        row: (row, columns) => `${columns.map(column => csvField(row[column], types[column])).join(',')}\r\n`
+      };
+    case 'ndjson':
+      return {
+        header: () => '',
+        row: (row, columns) => `${JSON.stringify(Object.fromEntries(
+          columns.map(column => [column, row[column] === undefined ? null : exportValue(row[column], types[column])])))}\n`
+      };
+    // SQL exports keep the driver's values, which quoteLiteral writes in the engine's own literal syntax
+    default: {
+      const table = driver.quoteIdentifier(tableName);
+      return {
+        header: () => '',
+        row: (row, columns) => `INSERT INTO ${table} (${columns.map(driver.quoteIdentifier).join(', ')}) ` +
+          `VALUES (${columns.map(column => driver.quoteLiteral(row[column])).join(', ')});\n`
+      };
+    }
+  }
+}
+
+/**
+ * Writes a chunk to the response, waiting for the client to catch up when its buffer is full.
+ *
+ * @param {express.Response} res - The Express response.
+ * @param {string} chunk - The text to write.
+ * @returns {Promise<boolean>} Whether the response is still writable (false once the client has gone).
+ */
+async function write(res, chunk) {
+  if (res.destroyed) {
+    return false;
+  }
+  if (chunk !== '' && !res.write(chunk)) {
+    await new Promise(resolve => {
+      const done = () => {
+        res.off('drain', done);
+        res.off('close', done);
+        resolve();
+      };
+      res.on('drain', done);
+      res.on('close', done);
+    });
+  }
+  return !res.destroyed;
+}
+
+/**
+ * Streams rows to the response in an export format, one row at a time, as a file download.
+ * Headers are sent only once the first row (or the end of the result) has been read, so a query
+ * that fails immediately can still be answered with a JSON:API error. Iteration stops when the
+ * client disconnects, which lets the driver stop reading the result.
+ *
+ * @param {express.Response} res - The Express response.
+ * @param {AsyncIterable<Object>} rows - The rows, e.g. from a connection's `stream()`.
+ * @param {Object} options
+ * @param {string} options.format - The export format name (csv, ndjson or sql).
+ * @param {Object} options.driver - The database driver.
+ * @param {string} options.tableName - The table named in the file name and SQL INSERT statements.
+ * @param {string[]} [options.columns] - The columns to export; defaults to the columns of the first row.
+ * @param {Object<string, string>} [options.types] - The SQL type of each column, by name (see columnTypes),
+ *   for converting values; without it values are converted by their JavaScript type alone.
+ * @returns {Promise<number>} Resolves to the number of rows written once the export is complete or the
+ *   client has disconnected.
+ */
+async function streamExport(res, rows, { format, driver, tableName, columns, types }) {
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  const formatter = lineFormatter(format, driver, tableName, types);
+  const iterator = rows[Symbol.asyncIterator]();
+  let written = 0;
+
+  try {
+    let next = await iterator.next();
+    const exportColumns = columns || (next.done ? [] : Object.keys(next.value));
+    const filename = `${tableName.replace(/[^\w.-]+/g, '_')}.${extension}`;
+
+    res.status(200);
+    res.set('Content-Type', contentType);
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.set('X-Content-Type-Options', 'nosniff');
+
+    if (exportColumns.length > 0 && !(await write(res, formatter.header(exportColumns)))) {
+      return written;
+    }
+    while (!next.done) {
+      if (!(await write(res, formatter.row(next.value, exportColumns)))) {
+        return written;
+      }
+      written++;
+      next = await iterator.next();
+    }
+    res.end();
+    return written;
+  } finally {
+    // Stops the driver's cursor if the loop ended early; a no-op once the rows are exhausted
+    if (iterator.return) await iterator.return();
+  }
+}
+
+module.exports = { EXPORT_FORMATS, negotiateExportFormat, streamExport };
@@ -0,0 +1,222 @@
+const { ApiError } = require('./errors');
+
+/**
+ * Filter operators accepted as `filter[column][operator]=value`.
+ * Each entry builds a SQL condition for an already-quoted column and collects its bound parameters.
+ */
+const OPERATORS = {
+  eq: (column, value, params) => {
+    params.push(value);
+    return `${column} = ?`;
+  },
+  ne: (column, value, params) => {
+    params.push(value);
+    return `${column} <> ?`;
+  },
+  gt: (column, value, params) => {
+    params.push(value);
+    return `${column} > ?`;
+  },
+  gte: (column, value, params) => {
+    params.push(value);
+    return `${column} >= ?`;
+  },
+  lt: (column, value, params) => {
+    params.push(value);
+    return `${column} < ?`;
+  },
+  lte: (column, value, params) => {
+    params.push(value);
+    return `${column} <= ?`;
+  },
+  like: (column, value, params) => {
+    params.push(value);
+    return `${column} LIKE ?`;
+  },
+  in: (column, value, params) => {
+    const values = Array.isArray(value) ? value : String(value).split(',');
+    params.push(...values);
+    return `${column} IN (${values.map(() => '?').join(', ')})`;
+  },
+  null: (column, value) => {
+    if (value !== 'true' && value !== 'false') {
+      throw new ApiError(400, 'Bad Request', `Filter operator 'null' expects 'true' or 'false'`);
+    }
+    return value === 'true' ? `${column} IS NULL` : `${column} IS NOT NULL`;
+  }
+};
+
+/**
+ * Finds the real column name for a name given in the query string.
+ * Attributes are emitted in camelCase, so `createdAt` resolves to `created_at` as well as the exact name.
+ *
+ * @param {string} name - The column name from the request.
+ * @param {string[]} columns - The real column names of the table.
+ * @returns {string|undefined} The matching column name, if any.
+ */
+function resolveColumn(name, columns) {
+  if (columns.includes(name)) {
+    return name;
+  }
+  const normalize = value => String(value).replace(/[-_]/g, '').toLowerCase();
+  return columns.find(column => normalize(column) === normalize(name));
+}
+
+/**
+ * Resolves a column name from the request or throws a 400 error naming the parameter.
+ *
+ * @param {string} name - The column name from the request.
+ * @param {string[]} columns - The real column names of the table.
+ * @param {string} parameter - The query parameter the name came from, for the error message.
+ * @returns {string} The real column name.
+ * @throws {ApiError} If the table has no such column.
+ */
+function requireColumn(name, columns, parameter) {
+  const column = resolveColumn(name, columns);
+  if (!column) {
+    throw new ApiError(400, 'Bad Request', `Unknown column '${name}' in '${parameter}'`);
+  }
+  return column;
+}
+
+/**
+ * Builds the WHERE clause for `filter[column]=value` and `filter[column][operator]=value` parameters.
+ * A bare value (or a list of values) means equality (or IN); conditions are combined with AND.
+ *
+ * @param {Object} driver - The database driver, for identifier quoting.
+ * @param {Object} filter - The parsed `filter` query parameter.
+ * @param {string[]} columns - The real column names of the table.
+ * @returns {{where: string, params: Array}} The WHERE clause (empty if there are no filters) and its parameters.
+ * @throws {ApiError} If a column or operator is unknown.
+ */
+function buildWhere(driver, filter, columns) {
+  const conditions = [];
+  const params = [];
+
+  if (filter === undefined) {
+    return { where: '', params };
+  }
+  if (typeof filter !== 'object' || Array.isArray(filter)) {
+    throw new ApiError(400, 'Bad Request', `'filter' must be given as filter[column]=value`);
+  }
+
+  for (const [name, condition] of Object.entries(filter)) {
+    const column = driver.quoteIdentifier(requireColumn(name, columns, `filter[${name}]`));
+
+    if (typeof condition === 'string') {
+      conditions.push(OPERATORS.eq(column, condition, params));
+    } else if (Array.isArray(condition)) {
+      conditions.push(OPERATORS.in(column, condition, params));
+    } else {
+      for (const [operator, value] of Object.entries(condition)) {
+        if (!Object.prototype.hasOwnProperty.call(OPERATORS, operator)) {
+          throw new ApiError(400, 'Bad Request',
+            `Unknown filter operator '${operator}' in 'filter[${name}][${operator}]'. ` +
+            `Supported operators: ${Object.keys(OPERATORS).join(', ')}`);
+        }
+        if (typeof value !== 'string' && !(operator === 'in' && Array.isArray(value))) {
+          throw new ApiError(400, 'Bad Request', `Invalid value for 'filter[${name}][${operator}]'`);
+        }
+        conditions.push(OPERATORS[operator](column, value, params));
+      }
+    }
+  }
+
+  return {
+    where: conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '',
+    params
+  };
+}
+
+/**
+ * Parses a JSON:API `sort` parameter, e.g. `-created_at,name`, into sort terms.
+ *
+ * @param {string} [sort] - The `sort` query parameter.
+ * @param {string[]} columns - The real column names of the table.
+ * @returns {Array<{column: string, descending: boolean}>} The sort terms, empty if no sort was requested.
+ * @throws {ApiError} If a column is unknown.
+ */
+function parseSort(sort, columns) {
+  if (sort === undefined || sort === '') {
+    return [];
+  }
+  if (typeof sort !== 'string') {
+    throw new ApiError(400, 'Bad Request', `'sort' must be a comma-separated list of columns`);
+  }
+
+  return sort.split(',').map(field => {
+    const descending = field.startsWith('-');
+    const name = descending ? field.substring(1) : field;
+    return { column: requireColumn(name, columns, 'sort'), descending };
+  });
+}
+
+/**
+ * Builds the ORDER BY clause for sort terms.
+ *
+ * @param {Object} driver - The database driver, for identifier quoting.
+ * @param {Array<{column: string, descending: boolean}>} terms - The sort terms.
+ * @returns {string} The ORDER BY clause, or an empty string if there are no terms.
+ */
+function buildOrderBy(driver, terms) {
+  if (terms.length === 0) {
+    return '';
+  }
+  const clauses = terms.map(({ column, descending }) => `${driver.quoteIdentifier(column)} ${descending ? 'DESC' : 'ASC'}`);
+  return ` ORDER BY ${clauses.join(', ')}`;
+}
+
+/**
+ * Resolves a JSON:API sparse fieldset (`fields[tableName]=a,b`) to the columns to select.
+ *
+ * @param {Object} [fields] - The parsed `fields` query parameter.
+ * @param {string} tableName - The table being queried.
+ * @param {string[]} columns - The real column names of the table.
+ * @returns {string[]|null} The selected columns, or null to select all of them.
+ * @throws {ApiError} If a column is unknown.
+ */
+function selectFields(fields, tableName, columns) {
+  if (!fields || typeof fields !== 'object' || fields[tableName] === undefined) {
+    return null;
+  }
+  const parameter = `fields[${tableName}]`;
+  return String(fields[tableName])
+    .split(',')
+    .filter(name => name !== '')
+    .map(name => requireColumn(name, columns, parameter));
+}
+
+/**
+ * Translates the filter, sort and sparse-fieldset query parameters of a table request into SQL fragments.
+ * Column names are validated against the table; values are returned as bound parameters.
+ * Key columns (the primary key, plus foreign keys for relationships) and sort columns are always
+ * selected so rows keep their id, relationships and pagination cursor under a sparse fieldset.
+ *
+ * @param {Object} driver - The database driver, for identifier quoting.
+ * @param {Object} query - The parsed request query (`req.query`).
+ * @param {string} tableName - The table being queried.
+ * @param {string[]} columns - The real column names of the table.
+ * @param {string[]} [keyColumns=[]] - The columns to select even if not requested.
+ * @returns {{fields: string[]|null, select: string, where: string, orderBy: string, sort: Array<Object>, params: Array}}
+ *   The requested fields (null for all), the SQL fragments, the sort terms and the parameters.
+ * @throws {ApiError} If a parameter is malformed or names an unknown column or operator.
+ */
+function buildTableQuery(driver, query, tableName, columns, keyColumns = []) {
+  const fields = selectFields(query.fields, tableName, columns);
+  const { where, params } = buildWhere(driver, query.filter, columns);
+  const sort = parseSort(query.sort, columns);
+  const selected = fields && fields.length > 0
+    ? [...new Set([...keyColumns, ...sort.map(term => term.column), ...fields])]
+    : null;
+
+  return {
+    fields,
+    select: selected ? selected.map(driver.quoteIdentifier).join(', ') : '*',
+    where,
+    orderBy: buildOrderBy(driver, sort),
+    sort,
+    params
+  };
+}
+
+module.exports = { buildTableQuery, buildOrderBy, resolveColumn };
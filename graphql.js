@@ -0,0 +1,735 @@
+const {
+  GraphQLSchema,
+  GraphQLObjectType,
+  GraphQLInputObjectType,
+  GraphQLEnumType,
+  GraphQLScalarType,
+  GraphQLList,
+  GraphQLNonNull,
+  GraphQLInt,
+  GraphQLFloat,
+  GraphQLString,
+  GraphQLBoolean,
+  GraphQLError,
+  Kind,
+  parse,
+  validate,
+  execute,
+  getOperationAST
+} = require('graphql');
+const { ApiError } = require('./errors');
+const { buildTableQuery, buildOrderBy } = require('./filters');
+const { encodeCursor, fetchPage } = require('./pagination');
+const { camelCase, tupleKey, tableRelationships, fetchReferencedRows } = require('./relationships');
+const { encodeRowId, findRow, updateRow, deleteRow } = require('./rows');
+const { typeCategory, toJsonValue } = require('./types');
+
+// Rows a list field returns when `first` is not given, as on a page of the table routes
+const DEFAULT_FIRST = 50;
+
+// Most rows a list field reads at once, so that one query cannot read a whole table
+const MAX_FIRST = 1000;
+
+// Built schemas kept for reuse, by the tables they were built from
+const MAX_SCHEMAS = 20;
+
+// SQL types with a GraphQL scalar other than String; decimals and dates stay strings as in the table routes
+const INT_TYPE = /^(tinyint|smallint|mediumint|int|integer|int2|int4|serial|serial2|serial4|smallserial)\b/;
+const BIGINT_TYPE = /^(bigint|int8|bigserial|serial8)\b/;
+const FLOAT_TYPE = /^(float|double|real|float4|float8)\b/;
+const BOOLEAN_TYPE = /^(bool|boolean)\b/;
+
+const DIGITS = /^-?\d+$/;
+
+// Integers of up to 64 bits, which GraphQL's 32-bit Int cannot hold
+const GraphQLBigInt = new GraphQLScalarType({
+  name: 'BigInt',
+  description: 'An integer of up to 64 bits, as a string so no precision is lost',
+  serialize: value => String(value),
+  parseValue(value) {
+    if ((typeof value === 'number' && Number.isSafeInteger(value)) || (typeof value === 'string' && DIGITS.test(value))) {
+      return String(value);
+    }
+    throw new GraphQLError(`BigInt cannot represent ${JSON.stringify(value)}`);
+  },
+  parseLiteral(node) {
+    if (node.kind === Kind.INT || (node.kind === Kind.STRING && DIGITS.test(node.value))) {
+      return node.value;
+    }
+    throw new GraphQLError('BigInt must be an integer or a string of digits', { nodes: node });
+  }
+});
+
+/**
+ * Reads a JSON value written inline in a GraphQL document.
+ *
+ * @param {Object} node - The value node.
+ * @param {Object} [variables] - The variables of the operation.
+ * @returns {*} The value.
+ */
+function parseJsonLiteral(node, variables) {
+  switch (node.kind) {
+    case Kind.STRING:
+    case Kind.BOOLEAN:
+      return node.value;
+    case Kind.INT:
+    case Kind.FLOAT:
+      return Number(node.value);
+    case Kind.OBJECT:
+      return Object.fromEntries(node.fields.map(field => [field.name.value, parseJsonLiteral(field.value, variables)]));
+    case Kind.LIST:
+      return node.values.map(value => parseJsonLiteral(value, variables));
+    case Kind.NULL:
+      return null;
+    case Kind.VARIABLE:
+      return variables ? variables[node.name.value] : undefined;
+    default:
+      throw new GraphQLError(`JSON cannot represent a ${node.kind}`, { nodes: node });
+  }
+}
+
+// JSON documents, geometries and binary values, in the form the table routes give them
+const GraphQLJSON = new GraphQLScalarType({
+  name: 'JSON',
+  description: 'A JSON value: JSON documents, GeoJSON geometries, and binary values as { size, contentType, base64 }',
+  serialize: value => value,
+  parseValue: value => value,
+  parseLiteral: parseJsonLiteral
+});
+
+/**
+ * Creates the filter input of a scalar, with the operators of the table routes' filter[column][operator].
+ *
+ * @param {GraphQLScalarType} scalar - The scalar.
+ * @returns {GraphQLInputObjectType} The filter input.
+ */
+function filterType(scalar) {
+  const fields = {
+    eq: { type: scalar, description: 'Equal to' },
+    ne: { type: scalar, description: 'Not equal to' }
+  };
+  if (scalar !== GraphQLBoolean) {
+    Object.assign(fields, {
+      gt: { type: scalar, description: 'Greater than' },
+      gte: { type: scalar, description: 'Greater than or equal to' },
+      lt: { type: scalar, description: 'Less than' },
+      lte: { type: scalar, description: 'Less than or equal to' }
+    });
+  }
+  if (scalar === GraphQLString) {
+    fields.like = { type: scalar, description: 'Matches a LIKE pattern, with % and _ as wildcards' };
+  }
+  fields.in = { type: new GraphQLList(new GraphQLNonNull(scalar)), description: 'Equal to one of the values' };
+  fields.null = { type: GraphQLBoolean, description: 'Is NULL (true) or is not NULL (false)' };
+  return new GraphQLInputObjectType({ name: `${scalar.name}Filter`, fields });
+}
+
+const FILTER_TYPES = new Map([GraphQLInt, GraphQLBigInt, GraphQLFloat, GraphQLString, GraphQLBoolean]
+  .map(scalar => [scalar, filterType(scalar)]));
+
+const PageInfo = new GraphQLObjectType({
+  name: 'PageInfo',
+  fields: {
+    hasNextPage: { type: new GraphQLNonNull(GraphQLBoolean) },
+    endCursor: {
+      type: GraphQLString,
+      description: 'Pass as after to get the next page; null when the table cannot be paged by cursor ' +
+        '(no primary key, or sorted on a nullable column)'
+    }
+  }
+});
+
+// Type names the tables' types must not take
+const RESERVED_TYPES = ['Query', 'Mutation', 'PageInfo', 'JSON', 'BigInt', 'Int', 'Float', 'String', 'Boolean', 'ID',
+  ...[...FILTER_TYPES.values()].map(type => type.name)];
+
+// Suffixes of the types generated for a table besides its row type
+const TYPE_SUFFIXES = ['Filter', 'OrderBy', 'Page', 'Input'];
+
+/**
+ * Turns a table, column or relationship name into a valid GraphQL name: characters other than
+ * letters, digits and underscores become underscores, and names must not start with a digit or
+ * with two underscores (reserved for introspection).
+ *
+ * @param {string} name - The name.
+ * @returns {string} The GraphQL name.
+ */
+function graphqlName(name) {
+  const safe = String(name).replace(/[^_a-zA-Z0-9]/g, '_').replace(/^__+/, '_');
+  return /^[_a-zA-Z]/.test(safe) ? safe : `_${safe}`;
+}
+
+/**
+ * Takes a name that is not taken yet, numbering it if needed.
+ *
+ * @param {string} name - The wanted name.
+ * @param {Set<string>} taken - The names taken; the returned name is added.
+ * @param {string[]} [suffixes=[]] - Suffixes that must be free with the name too.
+ * @returns {string} The name.
+ */
+function takeName(name, taken, suffixes = []) {
+  const free = candidate => [candidate, ...suffixes.map(suffix => `${candidate}${suffix}`)].every(used => !taken.has(used));
+  let unique = name;
+  for (let i = 2; !free(unique); i++) {
+    unique = `${name}${i}`;
+  }
+  [unique, ...suffixes.map(suffix => `${unique}${suffix}`)].forEach(used => taken.add(used));
+  return unique;
+}
+
+/**
+ * Chooses the GraphQL scalar of a column.
+ *
+ * @param {Object} column - The column from the table schema.
+ * @param {string} engine - The driver name; SQLite integers have 64 bits whatever their declared type.
+ * @returns {GraphQLScalarType} The scalar.
+ */
+function columnScalar(column, engine) {
+  const type = String(column.columnType || column.type || '').trim().toLowerCase();
+  const category = typeCategory(type);
+  if (category === 'json' || category === 'geometry' || category === 'binary') {
+    return GraphQLJSON;
+  }
+  if (category) {
+    return GraphQLString;
+  }
+  if (BOOLEAN_TYPE.test(type)) {
+    return GraphQLBoolean;
+  }
+  if (BIGINT_TYPE.test(type)) {
+    return GraphQLBigInt;
+  }
+  if (INT_TYPE.test(type)) {
+    return /unsigned/.test(type) || engine === 'sqlite' ? GraphQLBigInt : GraphQLInt;
+  }
+  if (FLOAT_TYPE.test(type)) {
+    return GraphQLFloat;
+  }
+  return GraphQLString;
+}
+
+/**
+ * Converts a value given to a filter to the string form the table routes' filters take.
+ *
+ * @param {*} value - The value.
+ * @returns {string} The filter value; booleans as 1 or 0, which every engine compares with booleans.
+ */
+function filterValue(value) {
+  return typeof value === 'boolean' ? String(Number(value)) : String(value);
+}
+
+/**
+ * Converts the filter argument of a list field to the table routes' filter parameter.
+ *
+ * @param {Object} filter - The filter argument, by field.
+ * @param {Object} table - The table's GraphQL description (see describeTable).
+ * @returns {Object} The filter, by column and operator.
+ * @throws {ApiError} If a value is null or a list is empty.
+ */
+function readFilter(filter, table) {
+  const conditions = {};
+  for (const [field, operators] of Object.entries(filter)) {
+    const condition = {};
+    for (const [operator, value] of Object.entries(operators)) {
+      if (value === null) {
+        throw new ApiError(400, 'Bad Request', `'${field}.${operator}' cannot be null; match NULL with { null: true }`);
+      }
+      if (operator === 'in' && value.length === 0) {
+        throw new ApiError(400, 'Bad Request', `'${field}.in' needs at least one value`);
+      }
+      condition[operator] = operator === 'in' ? value.map(filterValue) : operator === 'null' ? String(value) : filterValue(value);
+    }
+    conditions[table.columnOf.get(field)] = condition;
+  }
+  return conditions;
+}
+
+/**
+ * Reads the pagination arguments of a list field.
+ *
+ * @param {Object} args - The arguments: first, after and page; null is the same as leaving one out.
+ * @returns {Object} The pagination, as parsePagination returns it.
+ * @throws {ApiError} If an argument is invalid or they contradict each other.
+ */
+function readPagination(args) {
+  const first = args.first ?? DEFAULT_FIRST;
+  const after = args.after ?? undefined;
+  const page = args.page ?? undefined;
+  if (first < 1 || first > MAX_FIRST) {
+    throw new ApiError(400, 'Bad Request', `'first' must be a positive integer up to ${MAX_FIRST}`);
+  }
+  if (page !== undefined && page < 1) {
+    throw new ApiError(400, 'Bad Request', `'page' must be a positive integer`);
+  }
+  if (page !== undefined && after !== undefined) {
+    throw new ApiError(400, 'Bad Request', `'page' cannot be combined with the cursor 'after'`);
+  }
+  return { number: page === undefined ? 1 : page, size: first, after, before: undefined, total: 'none', explicit: true };
+}
+
+/**
+ * Converts the input of a mutation to column values. Booleans are written as 1 or 0 and JSON
+ * documents as text, which every engine accepts.
+ *
+ * @param {Object} input - The input, by field.
+ * @param {Object} table - The table's GraphQL description (see describeTable).
+ * @returns {Object} The values, by column.
+ */
+function readInput(input, table) {
+  const values = {};
+  for (const [field, value] of Object.entries(input)) {
+    const column = table.columnOf.get(field);
+    if (typeof value === 'boolean') {
+      values[column] = Number(value);
+    } else if (value !== null && typeof value === 'object' && typeCategory(table.types[column]) === 'json') {
+      values[column] = JSON.stringify(value);
+    } else {
+      values[column] = value;
+    }
+  }
+  return values;
+}
+
+/**
+ * Names the GraphQL types and fields of a table.
+ *
+ * @param {Object} schema - The table schema.
+ * @param {Array<Object>} relationships - The table's relationships (see tableRelationships).
+ * @param {Set<string>} typeNames - The type names taken.
+ * @param {string} engine - The driver name.
+ * @returns {Object} The description: `schema`, `relationships`, `typeName`, `fieldName` (of the list
+ *   field), `columns` (name, field, scalar and nullable of each column), `columnOf` (the column of
+ *   each field), `relationshipFields` (the field of each relationship) and `types` (see columnTypes).
+ */
+function describeTable(schema, relationships, typeNames, engine) {
+  const base = graphqlName(camelCase(schema.name));
+  const typeName = takeName(base.charAt(0).toUpperCase() + base.slice(1), typeNames, TYPE_SUFFIXES);
+  const fieldNames = new Set();
+  const columns = schema.columns.map(column => ({
+    name: column.name,
+    field: takeName(graphqlName(camelCase(column.name)), fieldNames),
+    scalar: columnScalar(column, engine),
+    nullable: column.nullable
+  }));
+  return {
+    schema,
+    relationships,
+    typeName,
+    fieldName: base.charAt(0).toLowerCase() + base.slice(1),
+    columns,
+    columnOf: new Map(columns.map(column => [column.field, column.name])),
+    relationshipFields: new Map(relationships.map(relationship => [relationship, takeName(graphqlName(relationship.name), fieldNames)])),
+    types: Object.fromEntries(schema.columns.map(column => [column.name, column.columnType || column.type]))
+  };
+}
+
+/**
+ * Builds the GraphQL schema of a database's tables. Each table gets a row type, with a field per
+ * column and per foreign key (the referenced row), and query fields: a page of rows with filter,
+ * orderBy, first, after and page arguments, and one row by primary key. Tables with a primary key
+ * get insert, update and delete mutations unless the server is read-only.
+ *
+ * @param {Array<Object>} tables - The tables, each `{ schema, relationships }`.
+ * @param {Object} options
+ * @param {string} options.engine - The driver name.
+ * @param {boolean} options.readOnly - Whether to leave out the mutations.
+ * @returns {GraphQLSchema} The schema; its resolvers expect the context from createGraphQLContext.
+ */
+function buildGraphQLSchema(tables, { engine, readOnly }) {
+  const typeNames = new Set(RESERVED_TYPES);
+  const described = tables.map(({ schema, relationships }) => describeTable(schema, relationships, typeNames, engine));
+  const byName = new Map(described.map(table => [table.schema.name, table]));
+  const rowTypes = new Map();
+  const queryFields = {};
+  const mutationFields = {};
+  const queryNames = new Set();
+  const mutationNames = new Set();
+
+  // Row types first, so that relationships can refer to any of them
+  for (const table of described) {
+    rowTypes.set(table, new GraphQLObjectType({
+      name: table.typeName,
+      description: `A row of table ${table.schema.name}`,
+      fields: () => {
+        const fields = {};
+        for (const column of table.columns) {
+          fields[column.field] = {
+            type: column.nullable ? column.scalar : new GraphQLNonNull(column.scalar),
+            description: column.field === column.name ? undefined : `Column ${column.name}`,
+            resolve: row => toJsonValue(row[column.name], table.types[column.name])
+          };
+        }
+        for (const [relationship, field] of table.relationshipFields) {
+          fields[field] = {
+            type: rowTypes.get(byName.get(relationship.referencedTable)),
+            description: `The ${relationship.referencedTable} row referenced by ${relationship.columns.join(', ')}`,
+            resolve: (row, args, context) => context.loadReferenced(relationship, row)
+          };
+        }
+        return fields;
+      }
+    }));
+  }
+
+  for (const table of described) {
+    const { schema, typeName } = table;
+    const rowType = rowTypes.get(table);
+    const keyColumns = schema.primaryKey.map(name => table.columns.find(column => column.name === name));
+    const keyArgs = Object.fromEntries(keyColumns.map(column => [column.field, { type: new GraphQLNonNull(column.scalar) }]));
+    const keyValues = args => keyColumns.map(column => args[column.field]);
+    const keyRowId = args => encodeRowId(Object.fromEntries(keyColumns.map(column => [column.name, args[column.field]])), schema.primaryKey);
+
+    const listArgs = {};
+    const filterable = table.columns.filter(column => FILTER_TYPES.has(column.scalar));
+    if (filterable.length > 0) {
+      listArgs.filter = {
+        type: new GraphQLInputObjectType({
+          name: `${typeName}Filter`,
+          fields: Object.fromEntries(filterable.map(column => [column.field, { type: FILTER_TYPES.get(column.scalar) }]))
+        }),
+        description: 'Conditions on the columns, all of which must hold'
+      };
+      listArgs.orderBy = {
+        type: new GraphQLList(new GraphQLNonNull(new GraphQLEnumType({
+          name: `${typeName}OrderBy`,
+          values: Object.fromEntries(filterable.flatMap(column => [
+            [`${column.field}_ASC`, { value: { column: column.name, descending: false } }],
+            [`${column.field}_DESC`, { value: { column: column.name, descending: true } }]
+          ]))
+        }))),
+        description: 'Columns to sort by, in order'
+      };
+    }
+    Object.assign(listArgs, {
+      first: { type: GraphQLInt, description: `Rows per page (default ${DEFAULT_FIRST}, at most ${MAX_FIRST})` },
+      after: { type: GraphQLString, description: 'Start after this cursor, the endCursor of the previous page' },
+      page: { type: GraphQLInt, description: 'Page number, counted in pages of first rows; an alternative to after' }
+    });
+
+    const pageType = new GraphQLObjectType({
+      name: `${typeName}Page`,
+      fields: {
+        nodes: { type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(rowType))), resolve: page => page.rows },
+        totalCount: {
+          type: new GraphQLNonNull(GraphQLInt),
+          description: 'Rows matching the filter, on every page; counted only when asked for',
+          resolve: async (page, args, context) =>
+            Number(await context.driver.countRows(context.conn, schema.name, page.table.where, page.table.params))
+        },
+        pageInfo: {
+          type: new GraphQLNonNull(PageInfo),
+          resolve: page => ({
+            hasNextPage: page.hasMore,
+            endCursor: page.keyset && page.rows.length > 0 ? encodeCursor(page.rows[page.rows.length - 1], page.keyset) : null
+          })
+        }
+      }
+    });
+
+    const listField = takeName(table.fieldName, queryNames);
+    queryFields[listField] = {
+      type: new GraphQLNonNull(pageType),
+      description: `A page of rows of table ${schema.name}`,
+      args: listArgs,
+      resolve: async (root, args, { driver, conn }) => {
+        const filter = args.filter ? readFilter(args.filter, table) : undefined;
+        const columnNames = schema.columns.map(column => column.name);
+        const { select, where, params } = buildTableQuery(driver, { filter }, schema.name, columnNames);
+        const sort = args.orderBy || [];
+        const query = { name: schema.name, schema, select, where, orderBy: buildOrderBy(driver, sort), sort, params };
+        const page = await fetchPage(driver, conn, query, readPagination(args));
+        return { ...page, table: query };
+      }
+    };
+
+    if (keyColumns.length === 0) {
+      continue;
+    }
+    queryFields[takeName(`${listField}ByPk`, queryNames)] = {
+      type: rowType,
+      description: `The row of table ${schema.name} with the given primary key, or null`,
+      args: keyArgs,
+      resolve: async (root, args, { driver, conn }) => (await findRow(driver, conn, schema, keyValues(args))) || null
+    };
+
+    if (readOnly) {
+      continue;
+    }
+    const inputType = new GraphQLInputObjectType({
+      name: `${typeName}Input`,
+      description: `Column values of table ${schema.name}; columns left out keep their default or current value`,
+      fields: Object.fromEntries(table.columns.map(column => [column.field, { type: column.scalar }]))
+    });
+    mutationFields[takeName(`insert${typeName}`, mutationNames)] = {
+      // Nullable, so that a failed insert does not hide the results of the mutations before it
+      type: rowType,
+      description: `Inserts a row into table ${schema.name}; null if it fails (see errors)`,
+      args: { input: { type: new GraphQLNonNull(inputType) } },
+      resolve: async (root, { input }, context) => {
+        const { driver, conn } = context;
+        context.requireEditor();
+        context.writing(schema.name, null);
+        const row = await findRow(driver, conn, schema, await driver.insert(conn, schema, readInput(input, table)));
+        context.written(schema.name, { action: 'insert', rowId: encodeRowId(row, schema.primaryKey) });
+        return row;
+      }
+    };
+    mutationFields[takeName(`update${typeName}`, mutationNames)] = {
+      type: rowType,
+      description: `Updates the row of table ${schema.name} with the given primary key; null if there is none`,
+      args: { ...keyArgs, input: { type: new GraphQLNonNull(inputType) } },
+      resolve: async (root, args, context) => {
+        const { driver, conn } = context;
+        context.requireEditor();
+        context.writing(schema.name, keyRowId(args));
+        const current = await findRow(driver, conn, schema, keyValues(args));
+        if (!current) {
+          return null;
+        }
+        const newKeyValues = await updateRow(driver, conn, schema, keyValues(args), readInput(args.input, table));
+        context.written(schema.name, { action: 'update', rowId: encodeRowId(current, schema.primaryKey) });
+        return findRow(driver, conn, schema, newKeyValues);
+      }
+    };
+    mutationFields[takeName(`delete${typeName}`, mutationNames)] = {
+      type: rowType,
+      description: `Deletes the row of table ${schema.name} with the given primary key and returns it; null if there is none`,
+      args: keyArgs,
+      resolve: async (root, args, context) => {
+        const { driver, conn } = context;
+        context.requireEditor();
+        context.writing(schema.name, keyRowId(args));
+        const row = await findRow(driver, conn, schema, keyValues(args));
+        if (!row || !await deleteRow(driver, conn, schema, keyValues(args))) {
+          return null;
+        }
+        context.written(schema.name, { action: 'delete', rowId: encodeRowId(row, schema.primaryKey) });
+        return row;
+      }
+    };
+  }
+
+  if (Object.keys(queryFields).length === 0) {
+    // A schema needs at least one query field
+    queryFields._empty = { type: GraphQLBoolean, description: 'There are no tables to query', resolve: () => null };
+  }
+  return new GraphQLSchema({
+    query: new GraphQLObjectType({ name: 'Query', fields: queryFields }),
+    mutation: Object.keys(mutationFields).length > 0 ? new GraphQLObjectType({ name: 'Mutation', fields: mutationFields }) : undefined
+  });
+}
+
+/**
+ * Creates the GraphQL schemas of the driver's databases. A schema covers the tables a user may see,
+ * so it is built from the database's metadata on every request; built schemas are reused while the
+ * tables they were built from stay the same.
+ *
+ * @param {Object} driver - The database driver.
+ * @param {Object} options
+ * @param {boolean} options.readOnly - Whether to leave out the mutations.
+ * @returns {{get: function(Object, function(string): boolean): Promise<GraphQLSchema>}} The schemas:
+ *   `get(conn, isVisible)` resolves to the schema of the connection's tables that isVisible accepts.
+ */
+function createGraphQLSchemas(driver, { readOnly }) {
+  // Built schemas in order of use, the least recent first
+  const schemas = new Map();
+
+  return {
+    async get(conn, isVisible) {
+      const tables = [];
+      for (const name of (await driver.listTables(conn)).filter(isVisible)) {
+        const schema = await driver.getTableSchema(conn, name);
+        tables.push({ schema, relationships: await tableRelationships(driver, conn, schema, isVisible) });
+      }
+
+      const key = JSON.stringify(tables.map(({ schema, relationships }) => [schema,
+        relationships.map(({ name, columns, referencedTable, referencedColumns }) => [name, columns, referencedTable, referencedColumns])]));
+      let schema = schemas.get(key);
+      if (schema) {
+        schemas.delete(key);
+      } else {
+        schema = buildGraphQLSchema(tables, { engine: driver.name, readOnly });
+        if (schemas.size >= MAX_SCHEMAS) {
+          schemas.delete(schemas.keys().next().value);
+        }
+      }
+      schemas.set(key, schema);
+      return schema;
+    }
+  };
+}
+
+/**
+ * Creates the context of a GraphQL operation. Referenced rows are loaded in batches: the rows a
+ * relationship field is resolved for in one step are looked up with a single query.
+ *
+ * @param {Object} driver - The database driver.
+ * @param {Object} conn - The connection the operation runs on.
+ * @param {Object} options
+ * @param {function(): void} options.requireEditor - Throws unless the user may write rows.
+ * @param {function(string, (string|null)): void} options.writing - Called before a mutation writes to a
+ *   table, with the table name and the id of the row (null for inserts), so failed writes can be told apart.
+ * @param {function(string, Object): void} options.written - Called after a mutation wrote to a table,
+ *   with the table name and the change (`action` and `rowId`).
+ * @returns {Object} The context.
+ */
+function createGraphQLContext(driver, conn, { requireEditor, writing, written }) {
+  // Pending lookups of each relationship, gathered until the resolvers of a step have all run
+  const batches = new Map();
+
+  return {
+    driver,
+    conn,
+    requireEditor,
+    writing,
+    written,
+
+    loadReferenced(relationship, row) {
+      const values = relationship.columns.map(column => row[column]);
+      if (values.some(value => value === null || value === undefined)) {
+        return null;
+      }
+      let batch = batches.get(relationship);
+      if (!batch) {
+        batch = { rows: [] };
+        batch.related = new Promise(resolve => process.nextTick(resolve)).then(() => {
+          batches.delete(relationship);
+          return fetchReferencedRows(driver, conn, relationship, batch.rows);
+        });
+        batches.set(relationship, batch);
+      }
+      batch.rows.push(row);
+      return batch.related.then(related => related.get(tupleKey(values)) || null);
+    }
+  };
+}
+
+/**
+ * Reads a GraphQL request: a POST body `{ query, variables, operationName }`, or the same as query
+ * parameters of a GET, with the variables as a JSON string.
+ *
+ * @param {express.Request} req - The Express request.
+ * @returns {{query: string, variables: (Object|undefined), operationName: (string|undefined)}} The request.
+ * @throws {ApiError} If the request is malformed.
+ */
+function readGraphQLRequest(req) {
+  const source = req.method === 'GET' ? req.query : req.body || {};
+  let { query, variables, operationName } = source;
+  if (typeof query !== 'string' || query.trim() === '') {
+    throw new ApiError(400, 'Bad Request', `A GraphQL request needs the operation text in 'query'`);
+  }
+  if (typeof variables === 'string') {
+    try {
+      variables = JSON.parse(variables);
+    } catch (error) {
+      throw new ApiError(400, 'Bad Request', `'variables' must be a JSON object: ${error.message}`);
+    }
+  }
+  if (variables !== undefined && variables !== null && (typeof variables !== 'object' || Array.isArray(variables))) {
+    throw new ApiError(400, 'Bad Request', `'variables' must be an object`);
+  }
+  if (operationName !== undefined && operationName !== null && typeof operationName !== 'string') {
+    throw new ApiError(400, 'Bad Request', `'operationName' must be a string`);
+  }
+  return { query, variables: variables || undefined, operationName: operationName || undefined };
+}
+
+/**
+ * Parses and validates the operation of a request against a schema.
+ *
+ * @param {GraphQLSchema} schema - The schema.
+ * @param {Object} request - The request from readGraphQLRequest.
+ * @returns {{document: (Object|undefined), operation: (Object|undefined), errors: (GraphQLError[]|undefined)}}
+ *   The document and the operation to run, or the errors that prevent running it.
+ */
+function prepareOperation(schema, request) {
+  let document;
+  try {
+    document = parse(request.query);
+  } catch (error) {
+    return { errors: [error] };
+  }
+  const errors = validate(schema, document);
+  if (errors.length > 0) {
+    return { errors };
+  }
+  const operation = getOperationAST(document, request.operationName);
+  if (!operation) {
+    return {
+      errors: [new GraphQLError(request.operationName
+        ? `Unknown operation '${request.operationName}'`
+        : `The document has several operations; choose one with 'operationName'`)]
+    };
+  }
+  return { document, operation };
+}
+
+/**
+ * Formats an error for a GraphQL response. Errors of the API keep their HTTP status and code in
+ * `extensions`, as conflicts with keys of the database do.
+ *
+ * @param {GraphQLError} error - The error.
+ * @param {Object} driver - The database driver, to recognize conflicts.
+ * @returns {Object} The error object.
+ */
+function formatGraphQLError(error, driver) {
+  const formatted = error.toJSON();
+  const original = error.originalError;
+  if (original instanceof ApiError) {
+    formatted.extensions = { ...formatted.extensions, status: original.status, ...(original.code ? { code: original.code } : {}) };
+  } else if (original && driver.isConflictError(original)) {
+    formatted.extensions = { ...formatted.extensions, status: 409, code: 'conflict' };
+  } else if (original && !(original instanceof GraphQLError)) {
+    console.error('Error resolving a GraphQL field:', original);
+    formatted.extensions = { ...formatted.extensions, status: 500 };
+  }
+  return formatted;
+}
+
+/**
+ * Runs a prepared operation.
+ *
+ * @param {GraphQLSchema} schema - The schema.
+ * @param {Object} prepared - The document from prepareOperation.
+ * @param {Object} request - The request from readGraphQLRequest.
+ * @param {Object} context - The context from createGraphQLContext.
+ * @returns {Promise<{data: (Object|null|undefined), errors: (Object[]|undefined)}>} The result, with
+ *   formatted errors; data is undefined when the variables were invalid and nothing ran.
+ */
+async function runOperation(schema, { document }, request, context) {
+  const result = await execute({
+    schema,
+    document,
+    variableValues: request.variables,
+    operationName: request.operationName,
+    contextValue: context
+  });
+  return {
+    ...(result.errors ? { errors: result.errors.map(error => formatGraphQLError(error, context.driver)) } : {}),
+    data: result.data
+  };
+}
+
+/**
+ * Sends an error of the API that stopped a GraphQL request before its operation ran, as a GraphQL
+ * response.
+ *
+ * @param {express.Response} res - The Express response.
+ * @param {ApiError} err - The error.
+ * @returns {express.Response} The response, for chaining.
+ */
+function sendGraphQLError(res, err) {
+  return res.status(err.status).json({
+    errors: [{ message: err.message, extensions: { status: err.status, ...(err.code ? { code: err.code } : {}) } }]
+  });
+}
+
+module.exports = {
+  createGraphQLSchemas,
+  createGraphQLContext,
+  readGraphQLRequest,
+  prepareOperation,
+  formatGraphQLError,
+  runOperation,
+  sendGraphQLError
+};
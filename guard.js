@@ -0,0 +1,364 @@
+const { ApiError } = require('./errors');
+
+/**
+ * Statement kinds by leading keyword. Statements starting with any other keyword are 'other'.
+ * SELECT, WITH, EXPLAIN, PRAGMA and CREATE are refined by classifyTokens. Session statements leave state
+ * on the connection: settings, the default database, table locks, prepared statements and listeners.
+ */
+const KINDS_BY_KEYWORD = {
+  read: ['SELECT', 'SHOW', 'DESCRIBE', 'DESC', 'EXPLAIN', 'VALUES', 'TABLE', 'HELP', 'WITH', 'PRAGMA'],
+  dml: ['INSERT', 'UPDATE', 'DELETE', 'REPLACE', 'MERGE', 'UPSERT'],
+  ddl: ['CREATE', 'ALTER', 'DROP', 'TRUNCATE', 'RENAME', 'COMMENT', 'ANALYZE', 'OPTIMIZE', 'REPAIR',
+    'VACUUM', 'REINDEX', 'CLUSTER'],
+  dcl: ['GRANT', 'REVOKE'],
+  transaction: ['BEGIN', 'START', 'COMMIT', 'ROLLBACK', 'SAVEPOINT', 'RELEASE', 'END'],
+  session: ['SET', 'USE', 'RESET', 'LOCK', 'UNLOCK', 'PREPARE', 'DEALLOCATE', 'LISTEN', 'UNLISTEN', 'DISCARD'],
+  file: ['LOAD', 'COPY', 'ATTACH', 'DETACH']
+};
+
+// Human-readable names of the statement kinds, for error messages
+const KIND_LABELS = {
+  read: 'read',
+  dml: 'DML (data modification)',
+  ddl: 'DDL (schema change)',
+  dcl: 'DCL (privilege change)',
+  transaction: 'transaction control',
+  session: 'session',
+  file: 'file access',
+  other: 'administrative'
+};
+
+// Values accepted in the allow list: the statement kinds, plus 'multi' for multi-statement queries
+const STATEMENT_KINDS = [...Object.keys(KIND_LABELS), 'multi'];
+
+// Functions that read or write files on the database server
+const FILE_FUNCTIONS = ['LOAD_FILE', 'PG_READ_FILE', 'PG_READ_BINARY_FILE', 'LO_IMPORT', 'LO_EXPORT'];
+
+// Functions that change session settings, like SET (PostgreSQL), or take locks held until the session ends
+const SESSION_FUNCTIONS = ['SET_CONFIG', 'GET_LOCK', 'PG_ADVISORY_LOCK', 'PG_ADVISORY_LOCK_SHARED',
+  'PG_TRY_ADVISORY_LOCK', 'PG_TRY_ADVISORY_LOCK_SHARED'];
+
+// Words that may come between CREATE and the kind of object created
+const CREATE_MODIFIERS = ['OR', 'REPLACE', 'GLOBAL', 'LOCAL', 'TEMP', 'TEMPORARY', 'UNLOGGED'];
+
+// Statement kinds whose effect outlasts the statement on its connection: an open transaction or session
+// state, like settings, locks and temporary tables. Requests run on pooled (or, with SQLite, shared) connections that later requests
+// reuse, so these are refused whatever the allow list says.
+const CONNECTION_STATE_KINDS = ['transaction', 'session'];
+
+// Statement kinds allowed unless configured otherwise: everything except file access, the kinds that
+// change connection state and multi-statements
+const DEFAULT_ALLOW = ['read', 'dml', 'ddl', 'dcl', 'other'];
+
+// Comment and literal syntax per SQL dialect. Where dialects disagree, misreading a literal or comment
+// could hide code from the guard, so each driver's queries are tokenized with its own rules.
+// `nestedComments` marks dialects whose block comments nest, which a pattern cannot match (see scanSql).
+const DIALECTS = {
+  mariadb: {
+    // '--' starts a comment only before whitespace or a control character; '--1' is minus minus one.
+    // `/*!` and `/*M!` comments are executed, so they are not comments.
+    comment: String.raw`--(?=[\s\x00-\x1f]|$)[^\n]*|#[^\n]*|\/\*(?!M?!)[\s\S]*?\*\/`,
+    literal: String.raw`'(?:[^'\\]|\\[\s\S]|'')*'|"(?:[^"\\]|\\[\s\S]|"")*"|` + '`(?:[^`]|``)*`'
+  },
+  postgres: {
+    comment: String.raw`--[^\n]*|\/\*[\s\S]*?\*\/`,
+    nestedComments: true,
+    literal: String.raw`[Ee]'(?:[^'\\]|\\[\s\S]|'')*'|'(?:[^']|'')*'|"(?:[^"]|"")*"|\$(?<tag>[A-Za-z_]\w*)?\$[\s\S]*?\$\k<tag>\$`
+  },
+  sqlite: {
+    comment: String.raw`--[^\n]*|\/\*[\s\S]*?\*\/`,
+    literal: String.raw`'(?:[^']|'')*'|"(?:[^"]|"")*"|` + '`(?:[^`]|``)*`|\\[[^\\]]*\\]'
+  }
+};
+
+/**
+ * Builds the pattern matching the comments, literals, words and punctuation of a dialect.
+ * MariaDB/MySQL executable comment markers (`/*!`, `/*M!` and `*\/`) are matched on their own, so their
+ * content is code.
+ *
+ * @param {string} dialect - The SQL dialect (a driver name: mariadb, postgres or sqlite).
+ * @returns {RegExp} The global pattern.
+ */
+function tokenPattern(dialect) {
+  const { comment, literal } = DIALECTS[dialect] || DIALECTS.mariadb;
+  return new RegExp(
+    `(?<comment>${comment})|\\/\\*M?!\\d*|\\*\\/|(?<literal>${literal})|(?<word>[A-Za-z_][\\w$]*)|(?<punct>[;()@=])`, 'g');
+}
+
+/**
+ * Returns the end of the block comment starting at an index, counting the comments nested in it.
+ * An unterminated comment ends with the text, as the server refuses it.
+ *
+ * @param {string} sql - The SQL text.
+ * @param {number} start - The index of the comment's opening `/*`.
+ * @returns {number} The index after its closing `*\/`.
+ */
+function nestedCommentEnd(sql, start) {
+  let depth = 0;
+  for (let i = start; i < sql.length - 1; i++) {
+    if (sql[i] === '/' && sql[i + 1] === '*') {
+      depth++;
+      i++;
+    } else if (sql[i] === '*' && sql[i + 1] === '/') {
+      depth--;
+      i++;
+      if (depth === 0) return i + 1;
+    }
+  }
+  return sql.length;
+}
+
+/**
+ * Matches a pattern with a named `comment` group across SQL, like String#matchAll, but extends block
+ * comments over the comments nested in them in the dialects where they nest (PostgreSQL), so that the
+ * text after an inner `*\/` is not mistaken for code.
+ *
+ * @param {string} sql - The SQL text.
+ * @param {RegExp} pattern - The global pattern.
+ * @param {string} dialect - The SQL dialect (a driver name: mariadb, postgres or sqlite).
+ * @returns {Iterable<RegExpMatchArray>} The matches.
+ */
+function* scanSql(sql, pattern, dialect) {
+  const { nestedComments } = DIALECTS[dialect] || DIALECTS.mariadb;
+  pattern.lastIndex = 0;
+  let match;
+  while ((match = pattern.exec(sql)) !== null) {
+    if (nestedComments && match.groups.comment && match[0].startsWith('/*')) {
+      const end = nestedCommentEnd(sql, match.index);
+      const text = sql.slice(match.index, end);
+      pattern.lastIndex = end;
+      yield Object.assign([text], { index: match.index, groups: { comment: text } });
+    } else {
+      yield match;
+    }
+  }
+}
+
+/**
+ * Splits SQL into statements and each statement into tokens, skipping comments and literals.
+ * MariaDB/MySQL executable comments (`/*! ... *\/`, `/*M! ... *\/`) are treated as code, since the server runs them.
+ *
+ * @param {string} sql - The SQL text.
+ * @param {string} dialect - The SQL dialect (a driver name: mariadb, postgres or sqlite).
+ * @returns {Array<Array<{type: string, value: string, depth: number}>>} The tokens of each non-empty statement.
+ */
+function tokenize(sql, dialect) {
+  const statements = [];
+  let tokens = [];
+  let depth = 0;
+  for (const match of scanSql(sql, tokenPattern(dialect), dialect)) {
+    const { literal: literalText, word, punct } = match.groups;
+    if (literalText) {
+      tokens.push({ type: 'literal', value: literalText, depth });
+    } else if (word) {
+      tokens.push({ type: 'word', value: word.toUpperCase(), depth });
+    } else if (punct === ';') {
+      if (tokens.length > 0) statements.push(tokens);
+      tokens = [];
+      depth = 0;
+    } else if (punct === '(') {
+      tokens.push({ type: 'open', value: punct, depth });
+      depth++;
+    } else if (punct === ')') {
+      depth = Math.max(0, depth - 1);
+      tokens.push({ type: 'close', value: punct, depth });
+    } else if (punct) {
+      tokens.push({ type: 'symbol', value: punct, depth });
+    }
+    // Comments and executable comment markers produce no tokens
+  }
+  if (tokens.length > 0) statements.push(tokens);
+  return statements;
+}
+
+/**
+ * Splits SQL into the text of its statements at the semicolons outside literals and comments,
+ * for engines that run a single statement per call. Statements holding only comments are dropped.
+ *
+ * @param {string} sql - The SQL text.
+ * @param {string} dialect - The SQL dialect (a driver name: mariadb, postgres or sqlite).
+ * @returns {string[]} The statements, without their terminating semicolons.
+ */
+function splitStatements(sql, dialect) {
+  const statements = [];
+  let start = 0;
+  let end = 0;
+  // The statement text outside comments, to tell empty statements apart
+  let code = '';
+  for (const match of scanSql(sql, tokenPattern(dialect), dialect)) {
+    code += sql.slice(end, match.index);
+    end = match.index + match[0].length;
+    if (match.groups.punct === ';') {
+      if (code.trim() !== '') statements.push(sql.slice(start, match.index));
+      start = end;
+      code = '';
+    } else if (!match.groups.comment) {
+      code += match[0];
+    }
+  }
+  code += sql.slice(end);
+  if (code.trim() !== '') statements.push(sql.slice(start));
+  return statements;
+}
+
+/**
+ * Returns the kind for a leading keyword.
+ *
+ * @param {string} keyword - The upper-case keyword.
+ * @returns {string} The statement kind.
+ */
+function kindOfKeyword(keyword) {
+  const kind = Object.keys(KINDS_BY_KEYWORD).find(name => KINDS_BY_KEYWORD[name].includes(keyword));
+  return kind || 'other';
+}
+
+/**
+ * Classifies a single tokenized statement.
+ *
+ * @param {Array<Object>} tokens - The statement tokens.
+ * @returns {{kind: string, keyword: string}} The statement kind and its leading keyword.
+ */
+function classifyTokens(tokens) {
+  const words = tokens.filter(token => token.type === 'word');
+  if (words.length === 0) {
+    return { kind: 'other', keyword: '' };
+  }
+  const keyword = words[0].value;
+  let kind = kindOfKeyword(keyword);
+
+  // File functions make any statement a file access, and session functions a session statement
+  const calls = functions => tokens.some((token, i) =>
+    token.type === 'word' && functions.includes(token.value) && tokens[i + 1] && tokens[i + 1].type === 'open');
+  if (calls(FILE_FUNCTIONS)) {
+    return { kind: 'file', keyword };
+  }
+  if (calls(SESSION_FUNCTIONS)) {
+    return { kind: 'session', keyword };
+  }
+
+  if (keyword === 'EXPLAIN') {
+    // EXPLAIN ANALYZE executes the statement, so it is as dangerous as the statement itself
+    const rest = tokens.slice(tokens.indexOf(words[0]) + 1);
+    const analyzes = rest.some(token => token.type === 'word' && token.value === 'ANALYZE' && token.depth === 0);
+    const inner = rest.find(token => token.type === 'word' && token.depth === 0 &&
+      kindOfKeyword(token.value) !== 'other' && token.value !== 'ANALYZE');
+    if (analyzes && inner) {
+      const innerKind = classifyTokens(rest.slice(rest.indexOf(inner))).kind;
+      return { kind: innerKind, keyword: `EXPLAIN ANALYZE ${inner.value}` };
+    }
+    return { kind: 'read', keyword };
+  }
+
+  if (keyword === 'WITH') {
+    // The main statement is the first DML or SELECT keyword outside the CTE bodies;
+    // data-modifying CTEs (PostgreSQL) start a parenthesized body with a DML keyword.
+    const modifiesInCte = tokens.some((token, i) =>
+      token.type === 'open' && tokens[i + 1] && tokens[i + 1].type === 'word' && kindOfKeyword(tokens[i + 1].value) === 'dml');
+    const main = words.find(token => token.depth === 0 && ['SELECT', 'VALUES', 'TABLE', ...KINDS_BY_KEYWORD.dml].includes(token.value));
+    if (modifiesInCte || (main && kindOfKeyword(main.value) === 'dml')) {
+      return { kind: 'dml', keyword: main ? `WITH ... ${main.value}` : keyword };
+    }
+  }
+
+  if (keyword === 'SELECT' || keyword === 'WITH') {
+    // SELECT ... INTO OUTFILE/DUMPFILE writes a file; SELECT ... INTO @var sets a variable;
+    // any other SELECT ... INTO creates a table (PostgreSQL)
+    const intoIndex = tokens.findIndex(token => token.type === 'word' && token.value === 'INTO' && token.depth === 0);
+    if (intoIndex !== -1) {
+      const target = tokens[intoIndex + 1];
+      if (target && target.type === 'word' && (target.value === 'OUTFILE' || target.value === 'DUMPFILE')) {
+        return { kind: 'file', keyword: `${keyword} ... INTO ${target.value}` };
+      }
+      if (target && target.type === 'word' && (target.value === 'TEMP' || target.value === 'TEMPORARY')) {
+        return { kind: 'session', keyword: `${keyword} ... INTO ${target.value}` };
+      }
+      if (target && target.type === 'symbol' && target.value === '@') {
+        return { kind: 'session', keyword: `${keyword} ... INTO @` };
+      }
+      return { kind: 'ddl', keyword: `${keyword} ... INTO` };
+    }
+  }
+
+  if (keyword === 'CREATE') {
+    // Temporary tables and views belong to the connection (CREATE [OR REPLACE] [GLOBAL|LOCAL] TEMP[ORARY] ...)
+    const modifiers = [];
+    for (const word of words.slice(1)) {
+      if (!CREATE_MODIFIERS.includes(word.value)) break;
+      modifiers.push(word.value);
+    }
+    const temporary = modifiers.find(modifier => modifier === 'TEMP' || modifier === 'TEMPORARY');
+    if (temporary) {
+      return { kind: 'session', keyword: `CREATE ${temporary}` };
+    }
+  }
+
+  if (keyword === 'PRAGMA' && tokens.some(token => token.type === 'symbol' && token.value === '=')) {
+    // Assigning a pragma changes connection or database settings (SQLite)
+    kind = 'session';
+  }
+
+  return { kind, keyword };
+}
+
+/**
+ * Splits SQL into statements and classifies each one as read, dml, ddl, dcl, transaction,
+ * session, file or other.
+ *
+ * @param {string} sql - The SQL text.
+ * @param {string} [dialect='mariadb'] - The SQL dialect (a driver name: mariadb, postgres or sqlite).
+ * @returns {Array<{kind: string, keyword: string}>} One entry per non-empty statement.
+ */
+function classifyStatements(sql, dialect = 'mariadb') {
+  return tokenize(sql, dialect).map(classifyTokens);
+}
+
+/**
+ * Creates the statement guard applied to raw SQL from /api/query.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.dialect='mariadb'] - The SQL dialect (a driver name: mariadb, postgres or sqlite).
+ * @param {boolean} [options.readOnly=false] - Allow only read statements.
+ * @param {string[]} [options.allow] - The statement kinds to allow (read, dml, ddl, dcl, file, other),
+ *   plus 'multi' to allow several statements in one query. Defaults to every kind except file access,
+ *   with multi-statements rejected. Transaction control and session statements are always rejected
+ *   (see CONNECTION_STATE_KINDS).
+ * @returns {function(string): Array<Object>} A function that classifies SQL, throwing a 403 ApiError
+ *   naming the rule that fired if the SQL is not allowed.
+ */
+function createStatementGuard({ dialect = 'mariadb', readOnly = false, allow = DEFAULT_ALLOW } = {}) {
+  return function checkStatements(sql) {
+    const statements = classifyStatements(sql, dialect);
+
+    if (statements.length === 0) {
+      throw new ApiError(400, 'Bad Request', 'The query contains no SQL statement');
+    }
+    if (statements.length > 1 && !allow.includes('multi')) {
+      throw new ApiError(403, 'Forbidden',
+        `The query contains ${statements.length} statements, but multi-statement queries are not allowed. ` +
+        'Send one statement per request.', 'multi-statement');
+    }
+
+    statements.forEach((statement, i) => {
+      const description = `Statement ${i + 1} (${statement.keyword}) is a ${KIND_LABELS[statement.kind]} statement`;
+      if (readOnly && statement.kind !== 'read') {
+        throw new ApiError(403, 'Forbidden',
+          `${description}, but the server is in read-only mode`, 'read-only');
+      }
+      if (CONNECTION_STATE_KINDS.includes(statement.kind)) {
+        throw new ApiError(403, 'Forbidden',
+          `${description}, whose effect would outlast the request on a connection that other requests reuse` +
+          (statement.kind === 'transaction' ? '; /api/batch runs its statements in one transaction' : ''),
+          `${statement.kind}-not-allowed`);
+      }
+      if (!allow.includes(statement.kind)) {
+        throw new ApiError(403, 'Forbidden',
+          `${description}, which is not in the allowed statement kinds (${allow.join(', ')})`,
+          statement.kind === 'file' ? 'file-access' : `${statement.kind}-not-allowed`);
+      }
+    });
+
+    return statements;
+  };
+}
+
+module.exports = { classifyStatements, splitStatements, scanSql, createStatementGuard, DEFAULT_ALLOW, STATEMENT_KINDS, DIALECTS };
@@ -0,0 +1,487 @@
+const { ApiError } = require('./errors');
+const { resolveColumn } = require('./filters');
+const { decodeRowId, resourceType, findRow, updateRow, deleteRow } = require('./rows');
+const { typeCategory } = require('./types');
+
+// Import formats by name, with the media types that select them
+const IMPORT_FORMATS = {
+  csv: ['text/csv'],
+  ndjson: ['application/x-ndjson', 'application/jsonl'],
+  json: ['application/vnd.api+json', 'application/json']
+};
+
+// How imported rows are written: inserted, updated in place when their key exists, or replaced whole
+const IMPORT_MODES = ['insert', 'upsert', 'replace'];
+
+// Largest request body, rows per import, and rows per transaction by default and at most
+const MAX_IMPORT_SIZE = '50mb';
+const MAX_IMPORT_ROWS = 100000;
+const DEFAULT_CHUNK_SIZE = 500;
+const MAX_CHUNK_SIZE = 10000;
+
+// Row errors listed in a report; the count covers them all
+const MAX_REPORTED_ERRORS = 100;
+
+// Column types converted on import beyond the categories of types.js; MariaDB spells BOOLEAN tinyint(1)
+const BOOLEAN_TYPE = /^(bool|boolean|tinyint\(1\))/;
+const INTEGER_TYPE = /^(tinyint|smallint|mediumint|int|integer|bigint|int2|int4|int8|serial|smallserial|bigserial)\b/;
+const FLOAT_TYPE = /^(float|double|real|float4|float8)\b/;
+
+/**
+ * Picks the format of an import, from an explicit `format` value or else the Content-Type header.
+ *
+ * @param {express.Request} req - The Express request.
+ * @param {string} [format] - The requested format (e.g. the `format` query parameter), if any.
+ * @returns {string} csv, ndjson or json.
+ * @throws {ApiError} If the format is unknown (400) or the content type is not an import format (415).
+ */
+function importFormat(req, format) {
+  if (format !== undefined && format !== '') {
+    if (typeof format !== 'string' || !IMPORT_FORMATS[format]) {
+      throw new ApiError(400, 'Bad Request', `Unknown format '${format}'. Use one of: ${Object.keys(IMPORT_FORMATS).join(', ')}`);
+    }
+    return format;
+  }
+  const name = Object.keys(IMPORT_FORMATS).find(key => req.is(IMPORT_FORMATS[key]));
+  if (!name) {
+    throw new ApiError(415, 'Unsupported Media Type',
+      `Send the rows as ${Object.values(IMPORT_FORMATS).flat().join(', ')}, or name the format in the 'format' parameter`);
+  }
+  return name;
+}
+
+/**
+ * Parses CSV text (RFC 4180) into records. An unquoted empty field is NULL and `""` the empty
+ * string, as exports write them.
+ *
+ * @param {string} text - The CSV text.
+ * @returns {Array<{line: number, fields: Array<(string|null)>}>} The records, with the line each starts on.
+ * @throws {ApiError} If a quoted field is not closed.
+ */
+function parseCsv(text) {
+  const records = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const endField = () => {
+    fields.push(field === '' && !quoted ? null : field);
+    field = '';
+    quoted = false;
+  };
+  const endRecord = () => {
+    endField();
+    // Blank lines hold no record
+    if (fields.length > 1 || fields[0] !== null) {
+      records.push({ line: recordLine, fields });
+    }
+    fields = [];
+    recordLine = line;
+  };
+
+  while (i < text.length) {
+    const char = text[i];
+    if (char === '"' && field === '' && !quoted) {
+      // A quoted field runs to the next quote not doubled
+      quoted = true;
+      const start = line;
+      i++;
+      for (;;) {
+        if (i >= text.length) {
+          throw new ApiError(400, 'Bad Request', `CSV line ${start}: unterminated quoted field`);
+        }
+        if (text[i] === '"') {
+          if (text[i + 1] !== '"') break;
+          i++;
+        }
+        if (text[i] === '\n') line++;
+        field += text[i];
+        i++;
+      }
+      i++;
+    } else if (char === ',') {
+      endField();
+      i++;
+    } else if (char === '\r' || char === '\n') {
+      i += char === '\r' && text[i + 1] === '\n' ? 2 : 1;
+      line++;
+      endRecord();
+    } else {
+      field += char;
+      i++;
+    }
+  }
+  if (field !== '' || quoted || fields.length > 0) {
+    endRecord();
+  }
+  return records;
+}
+
+/**
+ * Reads the records of an import body as field objects.
+ *
+ * - csv: a header line naming the fields, then one record per line
+ * - ndjson: one JSON object per line
+ * - json: a JSON:API document whose data holds resources of the table; their id fills in the
+ *   primary key as in POST /api/tables/:tableName
+ *
+ * @param {string} text - The request body.
+ * @param {string} format - csv, ndjson or json.
+ * @param {Object} schema - The table schema from getTableSchema.
+ * @returns {Array<{row: number, fields: (Object|undefined), error: (string|undefined)}>} The records,
+ *   numbered from 1 (lines for NDJSON); a record that cannot be read has an error instead of fields.
+ * @throws {ApiError} If the body as a whole cannot be read.
+ */
+function readImportRecords(text, format, schema) {
+  if (format === 'csv') {
+    const [header, ...records] = parseCsv(text);
+    if (!header) {
+      throw new ApiError(400, 'Bad Request', 'The CSV has no header line naming the columns');
+    }
+    if (header.fields.some(name => name === null)) {
+      throw new ApiError(400, 'Bad Request', 'The CSV header has an empty column name');
+    }
+    return records.map(({ line, fields }, i) => (fields.length === header.fields.length
+      ? { row: i + 1, fields: Object.fromEntries(header.fields.map((name, j) => [name, fields[j]])) }
+      : { row: i + 1, error: `Line ${line} has ${fields.length} fields, the header ${header.fields.length}` }));
+  }
+
+  if (format === 'ndjson') {
+    return text.split(/\r?\n/).map((line, i) => {
+      if (line.trim() === '') {
+        return null;
+      }
+      try {
+        const fields = JSON.parse(line);
+        if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+          return { row: i + 1, error: 'Each line must be a JSON object' };
+        }
+        return { row: i + 1, fields };
+      } catch (error) {
+        return { row: i + 1, error: `Invalid JSON: ${error.message}` };
+      }
+    }).filter(Boolean);
+  }
+
+  let body;
+  try {
+    body = JSON.parse(text);
+  } catch (error) {
+    throw new ApiError(400, 'Bad Request', `Invalid JSON: ${error.message}`);
+  }
+  const data = body && body.data;
+  if (!data || typeof data !== 'object') {
+    throw new ApiError(400, 'Bad Request', 'Request body must be a JSON:API document with the resources in "data"');
+  }
+  const type = resourceType(schema.name);
+  return (Array.isArray(data) ? data : [data]).map((resource, i) => {
+    if (!resource || typeof resource !== 'object' || Array.isArray(resource)) {
+      return { row: i + 1, error: 'Each resource must be an object' };
+    }
+    if (resource.type !== undefined && resource.type !== schema.name && resource.type !== type) {
+      return { row: i + 1, error: `Resource type '${resource.type}' does not match table '${schema.name}'` };
+    }
+    const attributes = resource.attributes || {};
+    if (typeof attributes !== 'object' || Array.isArray(attributes)) {
+      return { row: i + 1, error: '"attributes" must be an object' };
+    }
+    const fields = { ...attributes };
+    if (resource.id !== undefined && resource.id !== null && schema.primaryKey.length > 0) {
+      try {
+        decodeRowId(String(resource.id), schema.primaryKey).forEach((value, j) => {
+          if (fields[schema.primaryKey[j]] === undefined) fields[schema.primaryKey[j]] = value;
+        });
+      } catch (error) {
+        return { row: i + 1, error: error.message };
+      }
+    }
+    return { row: i + 1, fields };
+  });
+}
+
+/**
+ * Checks the `map` parameter, which renames source fields to columns (`map[email_address]=email`)
+ * or drops them (`map[notes]=`).
+ *
+ * @param {*} mapping - The parsed parameter.
+ * @returns {Object<string, string>} The column of each mapped field; '' for dropped fields.
+ * @throws {ApiError} If the parameter is not a set of field names and columns.
+ */
+function parseMapping(mapping) {
+  if (mapping === undefined) {
+    return {};
+  }
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping) ||
+      Object.values(mapping).some(column => typeof column !== 'string')) {
+    throw new ApiError(400, 'Bad Request', "Parameter 'map' must map source fields to columns, e.g. map[email_address]=email");
+  }
+  return mapping;
+}
+
+/**
+ * Converts an imported value to the type of its column. CSV values are strings; JSON values are
+ * checked and converted the same way, so `"42"` and `42` both fit an integer column. Binary values
+ * are base64, as exports write them, or the `{ base64 }` objects of the JSON:API responses.
+ *
+ * @param {*} value - The value.
+ * @param {Object} column - The column from the table schema.
+ * @returns {*} The value to bind.
+ * @throws {Error} If the value does not fit the column type.
+ */
+function coerceValue(value, column) {
+  if (value === null) {
+    return null;
+  }
+  const type = String(column.columnType || column.type || '').trim().toLowerCase();
+  const invalid = expected => new Error(`${JSON.stringify(value)} is not ${expected}`);
+  const text = typeof value === 'string' ? value.trim() : value;
+
+  if (BOOLEAN_TYPE.test(type)) {
+    const normalized = String(text).toLowerCase();
+    if (['true', '1', 't', 'yes', 'y'].includes(normalized)) return true;
+    if (['false', '0', 'f', 'no', 'n'].includes(normalized)) return false;
+    throw invalid('a boolean');
+  }
+  if (INTEGER_TYPE.test(type)) {
+    if (typeof text === 'boolean' || !/^[+-]?\d+$/.test(String(text))) throw invalid('an integer');
+    const number = Number(text);
+    // Keep the digits of integers beyond double precision
+    return Number.isSafeInteger(number) ? number : String(text).replace(/^\+/, '');
+  }
+  if (FLOAT_TYPE.test(type)) {
+    const number = Number(text);
+    if (typeof text === 'boolean' || text === '' || !Number.isFinite(number)) throw invalid('a number');
+    return number;
+  }
+
+  switch (typeCategory(type)) {
+    case 'decimal':
+      if (typeof text === 'boolean' || !/^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(String(text))) throw invalid('a decimal number');
+      return String(text);
+    case 'date':
+      if (typeof text !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(text) || Number.isNaN(Date.parse(text))) {
+        throw invalid('a date (YYYY-MM-DD)');
+      }
+      return text;
+    case 'datetime':
+    case 'timestamptz': {
+      const match = typeof text === 'string' &&
+        /^(\d{4}-\d{2}-\d{2})(?:[T ](\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?))?(Z|[+-]\d{2}(?::?\d{2})?)?$/.exec(text);
+      if (!match || Number.isNaN(Date.parse(match[3] ? text : `${match[1]}T${match[2] || '00:00'}`))) {
+        throw invalid('a date-time (ISO 8601)');
+      }
+      if (typeCategory(type) === 'timestamptz' || !match[3]) {
+        return match[2] ? `${match[1]} ${match[2]}${match[3] || ''}` : match[1];
+      }
+      // Columns without a time zone store the instant in UTC
+      return new Date(text).toISOString().replace('T', ' ').replace('Z', '');
+    }
+    case 'json':
+      if (typeof value === 'string') {
+        try {
+          JSON.parse(value);
+        } catch (error) {
+          throw invalid('JSON');
+        }
+        return value;
+      }
+      return JSON.stringify(value);
+    case 'binary': {
+      const base64 = value && typeof value === 'object' ? value.base64 : value;
+      if (typeof base64 !== 'string' || !/^[A-Za-z0-9+/\s]*={0,2}$/.test(base64)) {
+        throw invalid('base64 data');
+      }
+      return Buffer.from(base64, 'base64');
+    }
+    default:
+      if (typeof value === 'object') {
+        throw invalid('a text or number');
+      }
+      return typeof value === 'string' ? value : String(value);
+  }
+}
+
+/**
+ * Maps the records of an import to column values and checks them against the table: every field
+ * must name a column (after the mapping), values must fit their column types, NOT NULL columns
+ * without a default must be given for new rows, and upsert and replace need every primary key column.
+ *
+ * @param {Array<Object>} records - The records from readImportRecords.
+ * @param {Object} schema - The table schema from getTableSchema.
+ * @param {Object} options
+ * @param {Object<string, string>} options.mapping - The mapping from parseMapping.
+ * @param {string} options.mode - insert, upsert or replace.
+ * @returns {{rows: Array<{row: number, values: Object}>, errors: Array<{row: number, column: (string|null), detail: string}>, columns: string[]}}
+ *   The valid rows, the problems of the others and the columns imported.
+ * @throws {ApiError} If a field matches no column, since every record would fail the same way.
+ */
+function prepareImport(records, schema, { mapping, mode }) {
+  const columnNames = schema.columns.map(column => column.name);
+  const targets = new Map();
+  const targetOf = field => {
+    if (!targets.has(field)) {
+      const mapped = Object.prototype.hasOwnProperty.call(mapping, field) ? mapping[field] : field;
+      const column = mapped === '' ? '' : resolveColumn(mapped, columnNames);
+      if (column === undefined || column === null) {
+        throw new ApiError(400, 'Bad Request', mapped === field
+          ? `Field '${field}' matches no column of table '${schema.name}'; map it with map[${field}]=column or drop it with map[${field}]=`
+          : `Field '${field}' is mapped to '${mapped}', which is not a column of table '${schema.name}'`);
+      }
+      targets.set(field, column);
+    }
+    return targets.get(field);
+  };
+
+  const required = schema.columns
+    .filter(column => !column.nullable && column.default === null && !column.autoIncrement)
+    .map(column => column.name);
+  const rows = [];
+  const errors = [];
+  const imported = new Set();
+
+  for (const record of records) {
+    if (record.error) {
+      errors.push({ row: record.row, column: null, detail: record.error });
+      continue;
+    }
+    const values = {};
+    const rowErrors = [];
+    for (const [field, value] of Object.entries(record.fields)) {
+      const columnName = targetOf(field);
+      if (columnName === '' || value === undefined) {
+        continue;
+      }
+      const column = schema.columns.find(candidate => candidate.name === columnName);
+      try {
+        const converted = coerceValue(value, column);
+        // NULL for an auto-increment column asks for a generated value
+        if (converted !== null || !column.autoIncrement) {
+          values[columnName] = converted;
+          imported.add(columnName);
+        }
+      } catch (error) {
+        rowErrors.push({ row: record.row, column: columnName, detail: error.message });
+      }
+    }
+
+    const missingKey = mode === 'insert' ? [] : schema.primaryKey.filter(column => values[column] === undefined || values[column] === null);
+    missingKey.forEach(column => rowErrors.push({ row: record.row, column, detail: `The primary key is needed to ${mode} rows` }));
+    // An upsert may only update an existing row, so its other columns may be left out
+    if (mode !== 'upsert') {
+      required.filter(column => values[column] === undefined || values[column] === null)
+        .forEach(column => rowErrors.push({ row: record.row, column, detail: 'The column is NOT NULL and has no default' }));
+    }
+
+    if (rowErrors.length > 0) {
+      errors.push(...rowErrors);
+    } else {
+      rows.push({ row: record.row, values });
+    }
+  }
+  return { rows, errors, columns: columnNames.filter(name => imported.has(name)) };
+}
+
+/**
+ * Writes one imported row: upsert updates the row with the same key if there is one, replace deletes
+ * it first; otherwise the row is inserted.
+ *
+ * @param {Object} driver - The database driver.
+ * @param {Object} conn - A driver connection.
+ * @param {Object} schema - The table schema from getTableSchema.
+ * @param {Object} values - The column values.
+ * @param {string} mode - insert, upsert or replace.
+ * @returns {Promise<string>} What happened: inserted, updated or replaced.
+ */
+async function writeRow(driver, conn, schema, values, mode) {
+  if (mode !== 'insert') {
+    const keyValues = schema.primaryKey.map(column => values[column]);
+    if (mode === 'upsert' && await findRow(driver, conn, schema, keyValues)) {
+      const changes = { ...values };
+      schema.primaryKey.forEach(column => delete changes[column]);
+      await updateRow(driver, conn, schema, keyValues, changes);
+      return 'updated';
+    }
+    if (mode === 'replace' && await deleteRow(driver, conn, schema, keyValues)) {
+      await driver.insert(conn, schema, values);
+      return 'replaced';
+    }
+  }
+  await driver.insert(conn, schema, values);
+  return 'inserted';
+}
+
+/**
+ * Writes imported rows in chunks, each in its own transaction. The import stops at the first row
+ * the database rejects: its chunk is rolled back, earlier chunks stay committed.
+ *
+ * @param {Object} driver - The database driver.
+ * @param {Object} conn - A driver connection.
+ * @param {Object} schema - The table schema from getTableSchema.
+ * @param {Array<{row: number, values: Object}>} rows - The rows from prepareImport.
+ * @param {Object} options
+ * @param {string} options.mode - insert, upsert or replace.
+ * @param {number} options.chunkSize - Rows per transaction.
+ * @returns {Promise<{inserted: number, updated: number, replaced: number, chunks: number}>} The counts.
+ * @throws {Error} The error of the failing row, with `row` set to its number and `imported` to the
+ *   counts of the committed chunks.
+ */
+async function runImport(driver, conn, schema, rows, { mode, chunkSize }) {
+  const imported = { inserted: 0, updated: 0, replaced: 0, chunks: 0 };
+  for (let start = 0; start < rows.length; start += chunkSize) {
+    const chunk = rows.slice(start, start + chunkSize);
+    const counts = { inserted: 0, updated: 0, replaced: 0 };
+    let current;
+    try {
+      await conn.transaction(async () => {
+        for (current of chunk) {
+          counts[await writeRow(driver, conn, schema, current.values, mode)]++;
+        }
+      });
+    } catch (err) {
+      err.row = current && current.row;
+      err.imported = imported;
+      throw err;
+    }
+    imported.inserted += counts.inserted;
+    imported.updated += counts.updated;
+    imported.replaced += counts.replaced;
+    imported.chunks++;
+  }
+  return imported;
+}
+
+/**
+ * Reads the options of an import request.
+ *
+ * @param {Object} query - The parsed query string.
+ * @returns {{mode: string, dryRun: boolean, chunkSize: number, mapping: Object}} The options.
+ * @throws {ApiError} If an option is invalid.
+ */
+function parseImportOptions(query) {
+  const { mode = 'insert', dryRun = 'false', chunkSize } = query;
+  if (!IMPORT_MODES.includes(mode)) {
+    throw new ApiError(400, 'Bad Request', `Unknown mode '${mode}'. Use one of: ${IMPORT_MODES.join(', ')}`);
+  }
+  if (!['true', 'false', '1', '0'].includes(dryRun)) {
+    throw new ApiError(400, 'Bad Request', "Parameter 'dryRun' must be true or false");
+  }
+  const size = chunkSize === undefined ? DEFAULT_CHUNK_SIZE : Number(chunkSize);
+  if (!/^\d+$/.test(String(chunkSize === undefined ? size : chunkSize)) || size < 1 || size > MAX_CHUNK_SIZE) {
+    throw new ApiError(400, 'Bad Request', `Parameter 'chunkSize' must be an integer from 1 to ${MAX_CHUNK_SIZE}`);
+  }
+  return { mode, dryRun: dryRun === 'true' || dryRun === '1', chunkSize: size, mapping: parseMapping(query.map) };
+}
+
+module.exports = {
+  MAX_IMPORT_SIZE,
+  MAX_IMPORT_ROWS,
+  MAX_REPORTED_ERRORS,
+  importFormat,
+  parseImportOptions,
+  readImportRecords,
+  prepareImport,
+  runImport
+};
@@ -0,0 +1,279 @@
+const { camelCase } = require('./relationships');
+const { resourceType } = require('./rows');
+const { typeCategory, isTextType } = require('./types');
+
+// SQL types by the JSON value the table routes give them (see toJsonValue); others are strings
+const BIGINT_TYPE = /^(bigint|int8|bigserial|serial8)\b/;
+const INT_TYPE = /^(tinyint|smallint|mediumint|int|integer|int2|int4|serial|serial2|serial4|smallserial|year)\b/;
+const FLOAT_TYPE = /^(float|double|real|float4|float8)\b/;
+const BOOLEAN_TYPE = /^(bool|boolean)\b/;
+
+// The generic table routes each table gets a path of its own for
+const TABLE_PATH = '/api/tables/{tableName}';
+const ROW_PATH = '/api/tables/{tableName}/{id}';
+
+/**
+ * Describes the JSON value of a column as an OpenAPI schema, as the table routes read and write it:
+ * decimals and the BIGINTs of MariaDB/MySQL and PostgreSQL as strings, date-times as ISO 8601,
+ * JSON columns as any JSON value, geometries as GeoJSON and binary values as BinaryValue objects.
+ *
+ * @param {Object} column - The column from the table schema.
+ * @param {string} engine - The driver name; only PostgreSQL has real booleans, and SQLite reads
+ *   integers of any size as numbers.
+ * @returns {Object} The schema, without nullability.
+ */
+function columnSchema(column, engine) {
+  const type = String(column.columnType || column.type || '').trim().toLowerCase();
+  if (type.endsWith('[]')) {
+    return { type: 'array', items: columnSchema({ type: type.slice(0, -2) }, engine) };
+  }
+  switch (typeCategory(type)) {
+    case 'decimal':
+      return { type: 'string', format: 'decimal' };
+    case 'timestamptz':
+      return { type: 'string', format: 'date-time' };
+    case 'datetime':
+      // Without a time zone, so without the offset of the date-time format
+      return { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}T\\d{2}:\\d{2}:\\d{2}' };
+    case 'date':
+      return { type: 'string', format: 'date' };
+    case 'json':
+      return {};
+    case 'geometry':
+      return { type: 'object', description: 'GeoJSON geometry', additionalProperties: true };
+    case 'binary':
+      return { $ref: '#/components/schemas/BinaryValue' };
+  }
+  if (BOOLEAN_TYPE.test(type)) {
+    return engine === 'postgres' ? { type: 'boolean' } : { type: 'integer', enum: [0, 1] };
+  }
+  if (BIGINT_TYPE.test(type)) {
+    return engine === 'sqlite' ? { type: 'integer', format: 'int64' } : { type: 'string', format: 'int64' };
+  }
+  if (INT_TYPE.test(type)) {
+    return engine === 'sqlite' ? { type: 'integer', format: 'int64' } : { type: 'integer' };
+  }
+  if (FLOAT_TYPE.test(type)) {
+    return { type: 'number', format: /^(float|real|float4)\b/.test(type) && engine !== 'sqlite' ? 'float' : 'double' };
+  }
+  const values = /^enum\(.*\)$/.test(type) && String(column.columnType || column.type).match(/'(?:[^']|'')*'/g);
+  if (values) {
+    return { type: 'string', enum: values.map(value => value.slice(1, -1).replace(/''/g, "'")) };
+  }
+  return isTextType(type) && column.maxLength ? { type: 'string', maxLength: column.maxLength } : { type: 'string' };
+}
+
+/**
+ * Describes a column as an attribute: its value's schema with nullability, default and comment.
+ *
+ * @param {Object} column - The column from the table schema.
+ * @param {string} engine - The driver name.
+ * @param {Object} [options]
+ * @param {boolean} [options.input=false] - Describe the value written rather than read. Written values
+ *   are bound as given, so binary and geometry columns take whatever the database accepts.
+ * @returns {Object} The schema.
+ */
+function attributeSchema(column, engine, { input = false } = {}) {
+  const bound = input && ['binary', 'geometry'].includes(typeCategory(column.columnType || column.type));
+  const { format, ...schema } = bound ? {} : columnSchema(column, engine);
+  const details = {
+    ...(format ? { format } : {}),
+    ...(column.comment ? { description: column.comment } : {}),
+    ...(column.default !== null && column.default !== undefined ? { 'x-sql-default': column.default } : {}),
+    'x-sql-type': column.columnType || column.type
+  };
+  // A $ref stands alone in OpenAPI 3.0, so nullable references are wrapped
+  if (schema.$ref) {
+    return column.nullable ? { allOf: [schema], nullable: true, ...details } : { allOf: [schema], ...details };
+  }
+  return { ...schema, ...(column.nullable ? { nullable: true } : {}), ...details };
+}
+
+/**
+ * Names the component schemas of a table in PascalCase, numbered when a name is already taken.
+ *
+ * @param {string} tableName - The table name.
+ * @param {Set<string>} taken - The component names in use; the table's names are added.
+ * @param {string[]} suffixes - The suffixes of the table's components.
+ * @returns {string} The base name of the table's components.
+ */
+function componentName(tableName, taken, suffixes) {
+  const base = tableName.split(/[^A-Za-z0-9]+/).filter(Boolean)
+    .map(part => part[0].toUpperCase() + part.slice(1)).join('') || 'Table';
+  let name = base;
+  for (let number = 2; suffixes.some(suffix => taken.has(`${name}${suffix}`)); number++) {
+    name = `${base}${number}`;
+  }
+  suffixes.forEach(suffix => taken.add(`${name}${suffix}`));
+  return name;
+}
+
+/**
+ * Copies a documented path item for one table: the tableName parameter is dropped and the response
+ * and request schemas are replaced as given.
+ *
+ * @param {Object} item - The path item of the generic route.
+ * @param {string} tableName - The table name.
+ * @param {Object<string, Object>} operations - What to change in each method kept, by method:
+ *   `responses` (schemas by status) and `requestBody` (a schema).
+ * @returns {Object} The path item.
+ */
+function tablePathItem(item, tableName, operations) {
+  const withoutTable = parameters => parameters && parameters.filter(parameter => parameter.name !== 'tableName');
+  const copy = item.parameters ? { parameters: withoutTable(item.parameters) } : {};
+  for (const [method, { responses = {}, requestBody }] of Object.entries(operations)) {
+    const operation = item[method];
+    if (!operation) {
+      continue;
+    }
+    copy[method] = {
+      ...operation,
+      summary: `${operation.summary} (${tableName})`,
+      parameters: withoutTable(operation.parameters),
+      responses: Object.fromEntries(Object.entries(operation.responses).map(([status, response]) => [status,
+        responses[status] ? withSchema(response, 'application/vnd.api+json', responses[status]) : response])),
+      ...(requestBody ? { requestBody: withSchema(operation.requestBody, 'application/vnd.api+json', requestBody) } : {})
+    };
+  }
+  return copy;
+}
+
+/**
+ * Replaces the schema of one media type of a response or request body.
+ *
+ * @param {Object} body - The response or request body.
+ * @param {string} mediaType - The media type.
+ * @param {Object} schema - The schema.
+ * @returns {Object} The body.
+ */
+function withSchema(body, mediaType, schema) {
+  return { ...body, content: { ...body.content, [mediaType]: { ...body.content[mediaType], schema } } };
+}
+
+/**
+ * Documents each table of a database with paths and component schemas of its own, so clients
+ * generated from the API documentation are typed for the database: `/api/tables/<name>` for its pages
+ * and new rows, and `/api/tables/<name>/{id}` for its rows when it has a primary key, with a resource
+ * schema naming every column. The generic `/api/tables/{tableName}` routes stay documented for the
+ * tables created later.
+ *
+ * @param {Array<{schema: Object, relationships: Array<Object>}>} tables - The table schemas, with
+ *   their relationships (see tableRelationships).
+ * @param {Object} options
+ * @param {Object} options.paths - The documented path items, holding the generic table routes.
+ * @param {string[]} options.reserved - The names of the documented component schemas.
+ * @param {string} [options.basePath='/api'] - What the table paths start with, e.g. /api/databases/app.
+ * @param {string} options.engine - The driver name.
+ * @param {boolean} options.readOnly - Whether to leave out the routes that write rows.
+ * @returns {{paths: Object, schemas: Object}} The path items, by path, and the component schemas, by name.
+ */
+function tablePaths(tables, { paths, reserved, basePath = '/api', engine, readOnly }) {
+  const taken = new Set(reserved);
+  const ref = name => ({ $ref: `#/components/schemas/${name}` });
+  const included = {
+    type: 'array',
+    description: 'Rows referenced by the relationships named in include',
+    items: { type: 'object', additionalProperties: true }
+  };
+  const result = { paths: {}, schemas: {} };
+
+  for (const { schema, relationships } of tables) {
+    const suffixes = ['Attributes', 'Resource', 'Page', 'Document', ...(readOnly ? [] : ['CreateDocument', 'UpdateDocument'])];
+    const name = componentName(schema.name, taken, suffixes);
+    const type = resourceType(schema.name);
+    const attributes = Object.fromEntries(schema.columns.map(column => [camelCase(column.name), attributeSchema(column, engine)]));
+    const inputAttributes = Object.fromEntries(schema.columns.map(column =>
+      [camelCase(column.name), attributeSchema(column, engine, { input: true })]));
+
+    Object.assign(result.schemas, {
+      [`${name}Attributes`]: { type: 'object', description: `The columns of ${schema.name}`, properties: attributes },
+      [`${name}Resource`]: {
+        type: 'object',
+        required: ['type', 'id', 'attributes'],
+        properties: {
+          type: { type: 'string', enum: [type] },
+          id: {
+            type: 'string',
+            description: schema.primaryKey.length > 0
+              ? `The primary key (${schema.primaryKey.join(', ')})`
+              : 'The id column, if any; the table has no primary key'
+          },
+          attributes: ref(`${name}Attributes`),
+          ...(relationships.length > 0 ? {
+            relationships: {
+              type: 'object',
+              properties: Object.fromEntries(relationships.map(relationship => [relationship.name, {
+                allOf: [ref('Relationship')],
+                description: `The ${relationship.referencedTable} row referenced by ${relationship.columns.join(', ')}`
+              }]))
+            }
+          } : {})
+        }
+      },
+      [`${name}Page`]: {
+        type: 'object',
+        properties: {
+          data: { type: 'array', items: ref(`${name}Resource`) },
+          included,
+          meta: { $ref: '#/components/schemas/TableData/properties/meta' },
+          links: { $ref: '#/components/schemas/TableData/properties/links' }
+        }
+      },
+      [`${name}Document`]: {
+        type: 'object',
+        properties: { data: ref(`${name}Resource`), included }
+      }
+    });
+
+    if (!readOnly) {
+      // New rows need the columns with neither a default nor a generated value; a client-generated id
+      // may give the key columns
+      const required = schema.columns
+        .filter(column => !column.nullable && (column.default === null || column.default === undefined) &&
+          !column.autoIncrement && !schema.primaryKey.includes(column.name))
+        .map(column => camelCase(column.name));
+      const inputDocument = requiredAttributes => ({
+        type: 'object',
+        required: ['data'],
+        properties: {
+          data: {
+            type: 'object',
+            properties: {
+              type: { type: 'string', enum: [...new Set([type, schema.name])] },
+              id: { type: 'string' },
+              attributes: {
+                type: 'object',
+                properties: inputAttributes,
+                additionalProperties: false,
+                ...(requiredAttributes.length > 0 ? { required: requiredAttributes } : {})
+              }
+            }
+          }
+        }
+      });
+      result.schemas[`${name}CreateDocument`] = inputDocument(required);
+      result.schemas[`${name}UpdateDocument`] = inputDocument([]);
+    }
+
+    // The paths are copied from the generic routes, so none are added where those are not documented
+    const path = `${basePath}/tables/${encodeURIComponent(schema.name)}`;
+    if (paths[TABLE_PATH]) {
+      result.paths[path] = tablePathItem(paths[TABLE_PATH], schema.name, {
+        get: { responses: { 200: ref(`${name}Page`) } },
+        ...(readOnly ? {} : { post: { responses: { 201: ref(`${name}Document`) }, requestBody: ref(`${name}CreateDocument`) } })
+      });
+    }
+    if (paths[ROW_PATH] && schema.primaryKey.length > 0) {
+      result.paths[`${path}/{id}`] = tablePathItem(paths[ROW_PATH], schema.name, {
+        get: { responses: { 200: ref(`${name}Document`) } },
+        ...(readOnly ? {} : {
+          patch: { responses: { 200: ref(`${name}Document`) }, requestBody: ref(`${name}UpdateDocument`) },
+          delete: {}
+        })
+      });
+    }
+  }
+  return result;
+}
+
+module.exports = { columnSchema, tablePaths };
@@ -0,0 +1,395 @@
+const { ApiError } = require('./errors');
+const { buildOrderBy } = require('./filters');
+
+// Rows per page when the request does not say
+const DEFAULT_PAGE_SIZE = 50;
+
+// Ways of computing meta.pagination.total: a COUNT(*), the engine's statistics, or not at all
+const TOTAL_MODES = ['exact', 'estimate', 'none'];
+
+/**
+ * Parses a positive integer query parameter.
+ *
+ * @param {string} value - The raw query parameter value.
+ * @param {string} name - The parameter name, for the error message.
+ * @returns {number} The parsed integer.
+ * @throws {ApiError} If the value is not a positive integer.
+ */
+function parsePositiveInt(value, name) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new ApiError(400, 'Bad Request', `'${name}' must be a positive integer`);
+  }
+  return number;
+}
+
+/**
+ * Parses the pagination parameters of a table request. Accepts the JSON:API page family
+ * (`page[number]`, `page[size]`, `page[after]`, `page[before]`, `page[total]`) as well as the
+ * older `page=<number>` and `limit=<size|all>` parameters.
+ *
+ * @param {Object} query - The parsed request query (`req.query`).
+ * @returns {{number: number, size: number|null, after: string|undefined, before: string|undefined,
+ *   total: string, explicit: boolean}} The page position and size (null for all rows), the total mode,
+ *   and whether the request asked for a page at all.
+ * @throws {ApiError} If a parameter is malformed or parameters contradict each other.
+ */
+function parsePagination(query) {
+  const page = query.page !== null && typeof query.page === 'object' && !Array.isArray(query.page)
+    ? query.page
+    : { number: query.page };
+  const { number = '1', after, before } = page;
+  const size = page.size !== undefined ? page.size : query.limit;
+
+  if (after !== undefined && before !== undefined) {
+    throw new ApiError(400, 'Bad Request', `'page[after]' and 'page[before]' cannot be combined`);
+  }
+  for (const [name, cursor] of [['page[after]', after], ['page[before]', before]]) {
+    if (cursor !== undefined && (typeof cursor !== 'string' || cursor === '')) {
+      throw new ApiError(400, 'Bad Request', `'${name}' must be a cursor from a pagination link`);
+    }
+  }
+  const cursor = after !== undefined || before !== undefined;
+  if (cursor && page.number !== undefined) {
+    throw new ApiError(400, 'Bad Request', `'page[number]' cannot be combined with a cursor`);
+  }
+  if (cursor && size === 'all') {
+    throw new ApiError(400, 'Bad Request', `A cursor cannot be combined with page size 'all'`);
+  }
+
+  const total = page.total !== undefined ? page.total : (cursor ? 'none' : 'exact');
+  if (!TOTAL_MODES.includes(total)) {
+    throw new ApiError(400, 'Bad Request', `'page[total]' must be one of ${TOTAL_MODES.join(', ')}`);
+  }
+
+  return {
+    number: parsePositiveInt(number, 'page[number]'),
+    size: size === undefined ? DEFAULT_PAGE_SIZE : size === 'all' ? null : parsePositiveInt(size, 'page[size]'),
+    after,
+    before,
+    total,
+    explicit: query.page !== undefined || query.limit !== undefined
+  };
+}
+
+/**
+ * Returns the columns to order by for keyset (cursor) pagination: the sort terms followed by
+ * the primary key columns as tie-breakers, so that the order is total.
+ * Keyset pagination compares column values, and engines disagree on where NULLs sort, so it is
+ * only possible for tables with a primary key sorted on non-nullable columns.
+ *
+ * @param {Array<{column: string, descending: boolean}>} sort - The requested sort terms.
+ * @param {Object} schema - The table schema from getTableSchema.
+ * @returns {Array<{column: string, descending: boolean}>|null} The keyset terms, or null if the
+ *   table cannot be paginated by keyset.
+ */
+function keysetTerms(sort, schema) {
+  if (schema.primaryKey.length === 0) {
+    return null;
+  }
+  const terms = [...sort];
+  for (const column of schema.primaryKey) {
+    if (!terms.some(term => term.column === column)) {
+      terms.push({ column, descending: false });
+    }
+  }
+  const nullable = terms.some(term => schema.columns.find(column => column.name === term.column).nullable);
+  return nullable ? null : terms;
+}
+
+/**
+ * Encodes a value for a cursor, tagging the types JSON cannot carry.
+ *
+ * @param {*} value - A column value.
+ * @returns {*} The JSON-safe value.
+ */
+function encodeCursorValue(value) {
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+  if (value instanceof Date) {
+    return { date: value.toISOString() };
+  }
+  if (value instanceof Uint8Array) {
+    return { bytes: Buffer.from(value).toString('base64') };
+  }
+  return value;
+}
+
+/**
+ * Decodes a cursor value produced by encodeCursorValue.
+ *
+ * @param {*} value - The JSON value.
+ * @returns {*} The value to bind as a parameter.
+ */
+function decodeCursorValue(value) {
+  if (value !== null && typeof value === 'object') {
+    if (typeof value.date === 'string') {
+      return new Date(value.date);
+    }
+    if (typeof value.bytes === 'string') {
+      return Buffer.from(value.bytes, 'base64');
+    }
+  }
+  return value;
+}
+
+/**
+ * Builds the opaque cursor pointing at a row: its keyset column names and values, as base64url JSON.
+ *
+ * @param {Object} row - The row, as returned by the driver.
+ * @param {Array<{column: string}>} terms - The keyset terms.
+ * @returns {string} The cursor.
+ */
+function encodeCursor(row, terms) {
+  const cursor = {
+    columns: terms.map(term => term.column),
+    values: terms.map(term => encodeCursorValue(row[term.column]))
+  };
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+/**
+ * Reads the keyset values from a cursor.
+ *
+ * @param {string} cursor - The cursor from a `page[after]` or `page[before]` parameter.
+ * @param {Array<{column: string}>} terms - The keyset terms of the current request.
+ * @returns {Array} The keyset values.
+ * @throws {ApiError} If the cursor is malformed or was made for a different sort order.
+ */
+function decodeCursor(cursor, terms) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    decoded = null;
+  }
+  const columns = terms.map(term => term.column);
+  if (!decoded || !Array.isArray(decoded.columns) || !Array.isArray(decoded.values) ||
+      decoded.columns.join(',') !== columns.join(',') || decoded.values.length !== columns.length) {
+    throw new ApiError(400, 'Bad Request',
+      'Invalid pagination cursor; cursors are only valid for the sort order of the link they came from');
+  }
+  return decoded.values.map(decodeCursorValue);
+}
+
+/**
+ * Builds the condition selecting the rows after (or before) a cursor in keyset order, e.g.
+ * `(a > ?) OR (a = ? AND b > ?)` for ascending terms a, b.
+ *
+ * @param {Object} driver - The database driver, for identifier quoting.
+ * @param {Array<{column: string, descending: boolean}>} terms - The keyset terms.
+ * @param {Array} values - The cursor values.
+ * @param {boolean} backwards - Select the rows before the cursor instead of after it.
+ * @returns {{sql: string, params: Array}} The parenthesized condition and its parameters.
+ */
+function keysetCondition(driver, terms, values, backwards) {
+  const clauses = terms.map((term, i) => {
+    const equal = terms.slice(0, i).map(({ column }) => `${driver.quoteIdentifier(column)} = ?`);
+    const operator = term.descending !== backwards ? '<' : '>';
+    return `(${[...equal, `${driver.quoteIdentifier(term.column)} ${operator} ?`].join(' AND ')})`;
+  });
+  return {
+    sql: `(${clauses.join(' OR ')})`,
+    params: terms.flatMap((term, i) => values.slice(0, i + 1))
+  };
+}
+
+/**
+ * Builds the SELECT statement for one page of a table: the cursor condition and keyset order when
+ * available, then the LIMIT clause. Pages are ordered by the keyset whenever the table allows it,
+ * so that offset and cursor pages agree.
+ *
+ * @param {Object} driver - The database driver.
+ * @param {Object} table - The table query.
+ * @param {string} table.name - The table name.
+ * @param {string} table.select - The select list.
+ * @param {string} table.where - The filter WHERE clause (with leading space), or an empty string.
+ * @param {string} table.orderBy - The ORDER BY clause for the requested sort, used without a keyset.
+ * @param {Array} table.params - The filter parameters.
+ * @param {Object} pagination - The pagination from parsePagination.
+ * @param {Array<Object>|null} keyset - The keyset terms from keysetTerms.
+ * @param {number} [lookahead=0] - Extra rows to fetch beyond the page size, to learn whether more follow.
+ * @returns {{sql: string, params: Array}} The statement and its parameters.
+ * @throws {ApiError} If a cursor is given but the table cannot be paginated by keyset.
+ */
+function buildPageQuery(driver, table, pagination, keyset, lookahead = 0) {
+  let { where, params } = table;
+  const cursor = pagination.after || pagination.before;
+  const backwards = Boolean(pagination.before);
+
+  if (cursor) {
+    if (!keyset) {
+      throw new ApiError(400, 'Bad Request',
+        'Cursor pagination needs a table with a primary key, sorted on columns that cannot be NULL');
+    }
+    const condition = keysetCondition(driver, keyset, decodeCursor(cursor, keyset), backwards);
+    where = where ? `${where} AND ${condition.sql}` : ` WHERE ${condition.sql}`;
+    params = [...params, ...condition.params];
+  }
+
+  const orderBy = keyset
+    ? buildOrderBy(driver, keyset.map(term => ({ column: term.column, descending: term.descending !== backwards })))
+    : table.orderBy;
+  let sql = `SELECT ${table.select} FROM ${driver.quoteIdentifier(table.name)}${where}${orderBy}`;
+
+  if (pagination.size !== null) {
+    const offset = cursor ? 0 : (pagination.number - 1) * pagination.size;
+    const limitClause = driver.paginate(offset, pagination.size + lookahead);
+    sql += limitClause.sql;
+    params = [...params, ...limitClause.params];
+  }
+  return { sql, params };
+}
+
+/**
+ * Computes the total row count of a table query in the requested mode. Estimates come from the
+ * engine's statistics and are only available for unfiltered tables.
+ *
+ * @param {Object} driver - The database driver.
+ * @param {Object} conn - A driver connection.
+ * @param {Object} table - The table query (see buildPageQuery).
+ * @param {string} mode - The total mode: exact, estimate or none.
+ * @returns {Promise<number|null>} The total, or null if not computed.
+ */
+async function countTotal(driver, conn, table, mode) {
+  if (mode === 'exact') {
+    return driver.countRows(conn, table.name, table.where, table.params);
+  }
+  if (mode === 'estimate' && !table.where) {
+    return driver.estimateRows(conn, table.name);
+  }
+  return null;
+}
+
+/**
+ * Fetches one page of a table.
+ *
+ * @param {Object} driver - The database driver.
+ * @param {Object} conn - A driver connection.
+ * @param {Object} table - The table query (see buildPageQuery), plus `sort` (the sort terms)
+ *   and `schema` (the table schema).
+ * @param {Object} pagination - The pagination from parsePagination.
+ * @returns {Promise<{rows: Object[], keyset: Array<Object>|null, hasMore: boolean, total: number|null}>}
+ *   The rows in display order, the keyset terms, whether more rows follow in the direction of travel,
+ *   and the total.
+ */
+async function fetchPage(driver, conn, table, pagination) {
+  const keyset = keysetTerms(table.sort, table.schema);
+  const { sql, params } = buildPageQuery(driver, table, pagination, keyset, 1);
+
+  let rows = await conn.query(sql, params);
+  const hasMore = pagination.size !== null && rows.length > pagination.size;
+  if (hasMore) {
+    rows = rows.slice(0, pagination.size);
+  }
+  if (pagination.before) {
+    // Rows before a cursor are fetched in reverse order
+    rows.reverse();
+  }
+
+  const total = await countTotal(driver, conn, table, pagination.total);
+  return { rows, keyset, hasMore, total };
+}
+
+/**
+ * Builds a link to another page of the current request, keeping its other query parameters.
+ *
+ * @param {express.Request} req - The Express request.
+ * @param {number} size - The page size.
+ * @param {Object} position - The page parameters to set (number, after or before).
+ * @returns {string} The link.
+ */
+function pageLink(req, size, position) {
+  const queryStart = req.originalUrl.indexOf('?');
+  const path = queryStart === -1 ? req.originalUrl : req.originalUrl.slice(0, queryStart);
+  const kept = queryStart === -1 ? [] : req.originalUrl.slice(queryStart + 1).split('&').filter(part => {
+    let key;
+    try {
+      key = decodeURIComponent(part.split('=')[0].replace(/\+/g, ' '));
+    } catch (error) {
+      return true;
+    }
+    return part !== '' && key !== 'page' && key !== 'limit' && !(key.startsWith('page[') && key !== 'page[total]');
+  });
+
+  const pageParams = Object.entries({ size, ...position })
+    .map(([name, value]) => `page[${name}]=${encodeURIComponent(value)}`);
+  return `${path}?${[...kept, ...pageParams].join('&')}`;
+}
+
+/**
+ * Builds the JSON:API pagination links of a page. `next` and `prev` use cursors when the table
+ * can be paginated by keyset, so following them stays fast deep into the table; `last` needs the
+ * total and is null without it. Links to pages that do not exist are null.
+ *
+ * @param {express.Request} req - The Express request.
+ * @param {Object} pagination - The pagination from parsePagination.
+ * @param {Object} page - The page from fetchPage.
+ * @returns {{self: string, first?: string, prev?: string|null, next?: string|null, last?: string|null}} The links.
+ */
+function paginationLinks(req, pagination, { rows, keyset, hasMore, total }) {
+  const self = req.originalUrl;
+  const { size, number, after, before } = pagination;
+  if (size === null) {
+    return { self };
+  }
+
+  const cursor = after || before;
+  const hasNext = before ? true : hasMore;
+  const hasPrev = before ? hasMore : Boolean(after) || number > 1;
+  const first = rows[0];
+  const last = rows[rows.length - 1];
+
+  let next = null;
+  if (hasNext && last) {
+    next = keyset ? pageLink(req, size, { after: encodeCursor(last, keyset) }) : pageLink(req, size, { number: number + 1 });
+  }
+  let prev = null;
+  if (hasPrev && keyset && first) {
+    prev = pageLink(req, size, { before: encodeCursor(first, keyset) });
+  } else if (hasPrev && !cursor) {
+    prev = pageLink(req, size, { number: number - 1 });
+  }
+
+  return {
+    self,
+    first: pageLink(req, size, {}),
+    prev,
+    next,
+    last: total !== null ? pageLink(req, size, { number: Math.max(1, Math.ceil(total / size)) }) : null
+  };
+}
+
+/**
+ * Builds meta.pagination for a page.
+ *
+ * @param {Object} pagination - The pagination from parsePagination.
+ * @param {Object} page - The page from fetchPage.
+ * @returns {Object} The pagination metadata; page and pages are null when unknown (cursor pages, no total).
+ */
+function paginationMeta(pagination, { rows, total }) {
+  const { size, number, after, before } = pagination;
+  if (size === null) {
+    // Every row is in the page, so its length is the exact total
+    return { page: 1, limit: rows.length, total: rows.length, estimated: false, pages: 1 };
+  }
+  return {
+    page: after || before ? null : number,
+    limit: size,
+    total,
+    estimated: pagination.total === 'estimate' && total !== null,
+    pages: total !== null ? Math.ceil(total / size) : null
+  };
+}
+
+module.exports = {
+  parsePositiveInt,
+  parsePagination,
+  keysetTerms,
+  encodeCursor,
+  buildPageQuery,
+  fetchPage,
+  paginationLinks,
+  paginationMeta
+};
@@ -0,0 +1,92 @@
+const { ApiError } = require('./errors');
+const { DIALECTS, scanSql } = require('./guard');
+
+/**
+ * Checks that a parameter value can be bound: a string, number, boolean or null.
+ *
+ * @param {*} value - The parameter value from the request body.
+ * @param {string} name - The parameter, for error messages (e.g. `1` or `:status`).
+ * @returns {*} The value.
+ * @throws {ApiError} If the value is an object or array.
+ */
+function checkValue(value, name) {
+  if (value !== null && typeof value === 'object') {
+    throw new ApiError(400, 'Bad Request', `Parameter ${name} must be a string, number, boolean or null`);
+  }
+  return value;
+}
+
+/**
+ * Finds the placeholders of a statement outside literals and comments: `?` for positional parameters
+ * and `:name` for named ones. PostgreSQL casts (`::type`) and MariaDB assignments (`:=`) are not placeholders.
+ *
+ * @param {string} sql - The SQL text.
+ * @param {string} dialect - The SQL dialect (a driver name: mariadb, postgres or sqlite).
+ * @returns {Array<{index: number, length: number, name: (string|undefined)}>} The placeholders in order;
+ *   name is undefined for `?`.
+ */
+function findPlaceholders(sql, dialect) {
+  const { comment, literal } = DIALECTS[dialect] || DIALECTS.mariadb;
+  const pattern = new RegExp(`(?<comment>${comment})|${literal}|(?<positional>\\?)|(?<![:\\w]):(?<name>[A-Za-z_]\\w*)`, 'g');
+  const placeholders = [];
+  for (const match of scanSql(sql, pattern, dialect)) {
+    const { positional, name } = match.groups;
+    if (positional || name) {
+      placeholders.push({ index: match.index, length: match[0].length, name });
+    }
+  }
+  return placeholders;
+}
+
+/**
+ * Prepares raw SQL and its request parameters for the driver, which binds `?` placeholders on every engine.
+ * Parameters are either an array bound to `?` placeholders in order, or an object whose values are bound
+ * to `:name` placeholders (a name may be used several times). Values are never spliced into the SQL text.
+ *
+ * @param {string} sql - The SQL text.
+ * @param {Array|Object} [params] - The `params` of the request body.
+ * @param {string} dialect - The SQL dialect (a driver name: mariadb, postgres or sqlite).
+ * @returns {{sql: string, params: Array}} The SQL with `?` placeholders only, and the positional parameters.
+ * @throws {ApiError} If the parameters are malformed or do not match the placeholders.
+ */
+function bindParameters(sql, params, dialect) {
+  if (params === undefined || params === null) {
+    return { sql, params: [] };
+  }
+  if (typeof params !== 'object') {
+    throw new ApiError(400, 'Bad Request', '"params" must be an array (for ? placeholders) or an object (for :name placeholders)');
+  }
+
+  const placeholders = findPlaceholders(sql, dialect);
+  const positional = placeholders.filter(placeholder => placeholder.name === undefined);
+  const named = placeholders.filter(placeholder => placeholder.name !== undefined);
+
+  if (Array.isArray(params)) {
+    if (positional.length !== params.length) {
+      throw new ApiError(400, 'Bad Request',
+        `The query has ${positional.length} ? placeholder(s) but ${params.length} parameter(s) were given`);
+    }
+    return { sql, params: params.map((value, i) => checkValue(value, i + 1)) };
+  }
+
+  if (positional.length > 0) {
+    throw new ApiError(400, 'Bad Request', 'Named parameters cannot be mixed with ? placeholders');
+  }
+  const missing = [...new Set(named.map(placeholder => placeholder.name))].filter(name => !Object.hasOwn(params, name));
+  if (missing.length > 0) {
+    throw new ApiError(400, 'Bad Request', `Missing value for parameter(s) ${missing.map(name => `:${name}`).join(', ')}`);
+  }
+  const unused = Object.keys(params).filter(name => !named.some(placeholder => placeholder.name === name));
+  if (unused.length > 0) {
+    throw new ApiError(400, 'Bad Request', `The query has no placeholder for parameter(s) ${unused.map(name => `:${name}`).join(', ')}`);
+  }
+
+  // Replace each :name with ? from the end, so earlier placeholder positions stay valid
+  let bound = sql;
+  for (const placeholder of [...named].reverse()) {
+    bound = `${bound.slice(0, placeholder.index)}?${bound.slice(placeholder.index + placeholder.length)}`;
+  }
+  return { sql: bound, params: named.map(placeholder => checkValue(params[placeholder.name], `:${placeholder.name}`)) };
+}
+
+module.exports = { findPlaceholders, bindParameters };
@@ -0,0 +1,347 @@
+const fs = require('fs');
+const path = require('path');
+const { ApiError } = require('./errors');
+const { classifyStatements } = require('./guard');
+const { findPlaceholders, bindParameters } = require('./params');
+
+// Types a saved query parameter may declare
+const PARAMETER_TYPES = ['string', 'integer', 'number', 'boolean', 'date'];
+
+// Saved query names, usable in URLs, and parameter names, which follow the :name placeholder syntax
+const NAME_PATTERN = /^[A-Za-z_][\w-]{0,63}$/;
+const PARAMETER_PATTERN = /^[A-Za-z_]\w*$/;
+
+// Query-string keys of the results endpoint that are not parameters
+const RESERVED_PARAMETERS = ['format', 'table'];
+
+/**
+ * Converts a parameter value to the parameter's declared type. Values from the query string are
+ * strings; defaults in the saved query are JSON values.
+ *
+ * @param {Object} parameter - The parameter definition.
+ * @param {*} value - The value.
+ * @returns {string|number|boolean} The typed value.
+ * @throws {ApiError} If the value does not fit the type.
+ */
+function coerceParameter(parameter, value) {
+  const invalid = expected => new ApiError(400, 'Bad Request',
+    `Parameter '${parameter.name}' must be ${expected}, got ${JSON.stringify(value)}`);
+  if (value === null || typeof value === 'object') {
+    throw invalid(`a single ${parameter.type}`);
+  }
+  const text = String(value).trim();
+
+  switch (parameter.type) {
+    case 'integer': {
+      const number = Number(text);
+      if (!/^[+-]?\d+$/.test(text) || !Number.isSafeInteger(number)) throw invalid('an integer');
+      return number;
+    }
+    case 'number': {
+      const number = Number(text);
+      if (text === '' || !Number.isFinite(number)) throw invalid('a number');
+      return number;
+    }
+    case 'boolean':
+      if (['true', '1'].includes(text)) return true;
+      if (['false', '0'].includes(text)) return false;
+      throw invalid('true or false');
+    case 'date':
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(text) || Number.isNaN(Date.parse(text))) throw invalid('a date (YYYY-MM-DD)');
+      return text;
+    default:
+      return String(value);
+  }
+}
+
+/**
+ * Validates a saved query definition and normalizes it. The SQL must be a single read statement whose
+ * `:name` placeholders match the declared parameters exactly.
+ *
+ * @param {string} name - The saved query name.
+ * @param {Object} definition - The definition: `sql`, optional `description` and `parameters`
+ *   (`{ name, type, required, default, description }`).
+ * @param {string} dialect - The SQL dialect (a driver name).
+ * @returns {Object} The saved query: name, description, sql and parameters.
+ * @throws {ApiError} A 400 error describing the first problem found.
+ */
+function validateSavedQuery(name, definition, dialect) {
+  const invalid = detail => new ApiError(400, 'Bad Request', `Saved query '${name}': ${detail}`);
+  if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+    throw new ApiError(400, 'Bad Request',
+      `Invalid saved query name ${JSON.stringify(name)}: use letters, digits, '_' and '-', starting with a letter or '_'`);
+  }
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw invalid('the definition must be an object with "sql", "description" and "parameters"');
+  }
+  const { sql, description = null, parameters = [] } = definition;
+  if (typeof sql !== 'string' || sql.trim() === '') {
+    throw invalid('"sql" must be a non-empty SQL string');
+  }
+  if (description !== null && typeof description !== 'string') {
+    throw invalid('"description" must be a string');
+  }
+
+  // Saved queries are published as GET endpoints, so they may only read
+  const statements = classifyStatements(sql, dialect);
+  if (statements.length !== 1) {
+    throw invalid(`it holds ${statements.length} statements; a saved query is a single statement`);
+  }
+  if (statements[0].kind !== 'read') {
+    throw invalid(`${statements[0].keyword} is not a read statement; saved queries may only read`);
+  }
+
+  if (!Array.isArray(parameters)) {
+    throw invalid('"parameters" must be an array');
+  }
+  const normalized = parameters.map(parameter => {
+    if (!parameter || typeof parameter !== 'object' || typeof parameter.name !== 'string' || !PARAMETER_PATTERN.test(parameter.name)) {
+      throw invalid(`invalid parameter ${JSON.stringify(parameter)}; each parameter needs a "name" made of letters, digits and '_'`);
+    }
+    if (RESERVED_PARAMETERS.includes(parameter.name)) {
+      throw invalid(`parameter name '${parameter.name}' is reserved`);
+    }
+    const type = parameter.type === undefined ? 'string' : parameter.type;
+    if (!PARAMETER_TYPES.includes(type)) {
+      throw invalid(`parameter '${parameter.name}' has unknown type ${JSON.stringify(type)}; expected ${PARAMETER_TYPES.join(', ')}`);
+    }
+    if (parameter.description !== undefined && parameter.description !== null && typeof parameter.description !== 'string') {
+      throw invalid(`the description of parameter '${parameter.name}' must be a string`);
+    }
+    const result = {
+      name: parameter.name,
+      type,
+      required: parameter.required === undefined ? parameter.default === undefined : Boolean(parameter.required),
+      default: null,
+      description: parameter.description || null
+    };
+    if (parameter.default !== undefined && parameter.default !== null) {
+      result.default = coerceParameter(result, parameter.default);
+    }
+    return result;
+  });
+
+  const declared = normalized.map(parameter => parameter.name);
+  const duplicate = declared.find((parameterName, i) => declared.indexOf(parameterName) !== i);
+  if (duplicate) {
+    throw invalid(`parameter '${duplicate}' is declared twice`);
+  }
+  const placeholders = findPlaceholders(sql, dialect);
+  if (placeholders.some(placeholder => placeholder.name === undefined)) {
+    throw invalid('use :name placeholders for parameters, not ?');
+  }
+  const used = new Set(placeholders.map(placeholder => placeholder.name));
+  const undeclared = [...used].filter(parameterName => !declared.includes(parameterName));
+  if (undeclared.length > 0) {
+    throw invalid(`placeholder(s) ${undeclared.map(parameterName => `:${parameterName}`).join(', ')} have no declared parameter`);
+  }
+  const unused = declared.filter(parameterName => !used.has(parameterName));
+  if (unused.length > 0) {
+    throw invalid(`parameter(s) ${unused.join(', ')} are not used in the SQL`);
+  }
+
+  return { name, description, sql, parameters: normalized };
+}
+
+/**
+ * Reads a saved query from a JSON:API request document:
+ * `{ data: { type: 'saved-queries', id: name, attributes: { sql, description, parameters } } }`.
+ *
+ * @param {Object} body - The request body.
+ * @param {string} [name] - The name from the URL, for PUT; the document's id (or `name` attribute) must
+ *   match it if given.
+ * @returns {{name: string, definition: Object}} The name and the definition to validate.
+ * @throws {ApiError} If the document is malformed or names another saved query.
+ */
+function readSavedQueryDocument(body, name) {
+  const data = body && body.data;
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new ApiError(400, 'Bad Request', 'Request body must be a JSON:API document with a single resource in "data"');
+  }
+  if (data.type !== undefined && data.type !== 'saved-queries' && data.type !== 'saved-query') {
+    throw new ApiError(409, 'Conflict', `Resource type '${data.type}' is not saved-queries`);
+  }
+  const attributes = data.attributes || {};
+  if (typeof attributes !== 'object' || Array.isArray(attributes)) {
+    throw new ApiError(400, 'Bad Request', '"data.attributes" must be an object');
+  }
+
+  const { name: attributeName, ...definition } = attributes;
+  const given = data.id !== undefined && data.id !== null ? String(data.id) : attributeName;
+  if (name !== undefined && given !== undefined && given !== name) {
+    throw new ApiError(409, 'Conflict', `Resource id '${given}' does not match saved query '${name}'`);
+  }
+  if (name === undefined && given === undefined) {
+    throw new ApiError(400, 'Bad Request', 'Name the saved query in "data.id"');
+  }
+  return { name: name === undefined ? given : name, definition };
+}
+
+/**
+ * Binds the parameters of a saved query from the query string of a results request: each value is
+ * converted to its declared type, missing optional parameters take their default (or NULL).
+ *
+ * @param {Object} savedQuery - The saved query.
+ * @param {Object} query - The parsed query string.
+ * @param {string} dialect - The SQL dialect (a driver name).
+ * @returns {{sql: string, params: Array, values: Object}} The statement for the driver, and the
+ *   parameter values by name.
+ * @throws {ApiError} If a parameter is unknown, missing or of the wrong type.
+ */
+function bindSavedQuery(savedQuery, query, dialect) {
+  const names = savedQuery.parameters.map(parameter => parameter.name);
+  const unknown = Object.keys(query).filter(key => !names.includes(key) && !RESERVED_PARAMETERS.includes(key));
+  if (unknown.length > 0) {
+    const expected = names.length > 0 ? names.join(', ') : 'none';
+    throw new ApiError(400, 'Bad Request', `Unknown parameter(s) ${unknown.join(', ')} (expected: ${expected})`);
+  }
+
+  const values = {};
+  for (const parameter of savedQuery.parameters) {
+    if (query[parameter.name] !== undefined) {
+      values[parameter.name] = coerceParameter(parameter, query[parameter.name]);
+    } else if (parameter.required) {
+      throw new ApiError(400, 'Bad Request', `Missing required parameter '${parameter.name}' (${parameter.type})`);
+    } else {
+      values[parameter.name] = parameter.default;
+    }
+  }
+  return { ...bindParameters(savedQuery.sql, values, dialect), values };
+}
+
+/**
+ * Describes the results endpoint of each saved query as OpenAPI paths, so published reports appear in
+ * the API documentation with their typed parameters.
+ *
+ * @param {Array<Object>} savedQueries - The saved queries.
+ * @returns {Object} The OpenAPI path items, by path.
+ */
+function savedQueryPaths(savedQueries) {
+  const schemas = {
+    string: { type: 'string' },
+    integer: { type: 'integer' },
+    number: { type: 'number' },
+    boolean: { type: 'boolean' },
+    date: { type: 'string', format: 'date' }
+  };
+  return Object.fromEntries(savedQueries.map(savedQuery => [`/api/saved-queries/${savedQuery.name}/results`, {
+    get: {
+      summary: `Run the saved query ${savedQuery.name}`,
+      description: `${savedQuery.description ? `${savedQuery.description}\n\n` : ''}\`\`\`sql\n${savedQuery.sql}\n\`\`\``,
+      parameters: [
+        ...savedQuery.parameters.map(parameter => ({
+          in: 'query',
+          name: parameter.name,
+          required: parameter.required,
+          description: parameter.description || undefined,
+          schema: { ...schemas[parameter.type], ...(parameter.default !== null ? { default: parameter.default } : {}) }
+        })),
+        {
+          in: 'query',
+          name: 'format',
+          schema: { type: 'string', enum: ['json', 'csv', 'ndjson', 'sql'] },
+          description: 'Export format, overriding the Accept header'
+        },
+        {
+          in: 'query',
+          name: 'table',
+          schema: { type: 'string', default: savedQuery.name },
+          description: 'Table name used in SQL INSERT exports and in the download file name'
+        }
+      ],
+      responses: {
+        200: {
+          description: 'The rows of the query, or an export file',
+          content: { 'application/vnd.api+json': { schema: { $ref: '#/components/schemas/QueryResult' } } }
+        },
+        400: { $ref: '#/components/responses/JsonApiError' },
+        403: { $ref: '#/components/responses/JsonApiError' },
+        500: { $ref: '#/components/responses/JsonApiError' }
+      }
+    }
+  }]));
+}
+
+/**
+ * Opens the saved query store, a JSON file holding `{ "queries": [...] }`. The file is read at startup
+ * and rewritten on every change; it is created by the first saved query.
+ *
+ * @param {string} file - The path of the JSON file.
+ * @param {Object} options
+ * @param {string} options.dialect - The SQL dialect (a driver name), to validate the SQL.
+ * @returns {Object} The store: `list()`, `get(name)`, `save(name, definition)` (resolving to whether the
+ *   query was created) and `remove(name)` (resolving to whether it existed).
+ * @throws {Error} If the file exists but cannot be read or holds an invalid saved query.
+ */
+function createQueryStore(file, { dialect }) {
+  const queries = new Map();
+  if (fs.existsSync(file)) {
+    let stored;
+    try {
+      stored = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read saved queries ${file}: ${error.message}`);
+    }
+    if (!stored || !Array.isArray(stored.queries)) {
+      throw new Error(`Saved queries ${file} must be a JSON object with a "queries" array`);
+    }
+    for (const entry of stored.queries) {
+      try {
+        const savedQuery = validateSavedQuery(entry && entry.name, entry, dialect);
+        queries.set(savedQuery.name, { ...savedQuery, createdAt: entry.createdAt || null, updatedAt: entry.updatedAt || null });
+      } catch (error) {
+        throw new Error(`Saved queries ${file}: ${error.message}`);
+      }
+    }
+  }
+
+  // Changes are written one at a time, each to a temporary file renamed over the store
+  let writing = Promise.resolve();
+  const persist = () => {
+    const content = `${JSON.stringify({ queries: [...queries.values()] }, null, 2)}\n`;
+    writing = writing.catch(() => {}).then(async () => {
+      const temporary = path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}.tmp`);
+      await fs.promises.writeFile(temporary, content);
+      await fs.promises.rename(temporary, file);
+    });
+    return writing;
+  };
+
+  return {
+    list: () => [...queries.values()].sort((a, b) => a.name.localeCompare(b.name)),
+
+    get: name => queries.get(name),
+
+    async save(name, definition) {
+      const savedQuery = validateSavedQuery(name, definition, dialect);
+      const existing = queries.get(name);
+      const now = new Date().toISOString();
+      queries.set(name, { ...savedQuery, createdAt: existing ? existing.createdAt : now, updatedAt: now });
+      try {
+        await persist();
+      } catch (error) {
+        // Keep memory and file in step
+        if (existing) queries.set(name, existing); else queries.delete(name);
+        throw error;
+      }
+      return !existing;
+    },
+
+    async remove(name) {
+      const existing = queries.get(name);
+      if (!existing) {
+        return false;
+      }
+      queries.delete(name);
+      try {
+        await persist();
+      } catch (error) {
+        queries.set(name, existing);
+        throw error;
+      }
+      return true;
+    }
+  };
+}
+
+module.exports = { createQueryStore, readSavedQueryDocument, bindSavedQuery, savedQueryPaths };
@@ -0,0 +1,255 @@
+const { ApiError } = require('./errors');
+const { resolveColumn } = require('./filters');
+const { encodeRowId, serializeRows, resourceType } = require('./rows');
+const { columnTypes } = require('./types');
+
+// Referenced rows fetched per query when resolving relationships
+const LOOKUP_BATCH_SIZE = 500;
+
+/**
+ * Converts a snake_case or kebab-case name to camelCase, as the serializer does for attributes.
+ *
+ * @param {string} name - The name.
+ * @returns {string} The camelCase name.
+ */
+function camelCase(name) {
+  return name.replace(/[-_]+([^-_])/g, (match, char) => char.toUpperCase());
+}
+
+/**
+ * Names the relationship of a foreign key: its column without the `_id` suffix (`customer_id` -> `customer`),
+ * else the referenced table. The constraint name is used when that would clash with an attribute or
+ * another relationship.
+ *
+ * @param {Object} foreignKey - The foreign key from the table schema.
+ * @param {Set<string>} taken - The attribute and relationship names already in use (camelCase).
+ * @returns {string} The relationship name (camelCase).
+ */
+function relationshipName(foreignKey, taken) {
+  const match = foreignKey.columns.length === 1 && /^(.+?)(?:[-_][iI][dD]|Id)$/.exec(foreignKey.columns[0]);
+  const candidates = [match && match[1], foreignKey.referencedTable, foreignKey.name]
+    .filter(Boolean)
+    .map(camelCase);
+  return candidates.find(name => !taken.has(name)) || foreignKey.name;
+}
+
+/**
+ * Describes the to-one relationships of a table, one per foreign key to a table the user may see.
+ *
+ * @param {Object} driver - The database driver.
+ * @param {Object} conn - A driver connection.
+ * @param {Object} schema - The table schema from getTableSchema.
+ * @param {function(string): boolean} [isVisible] - Whether a referenced table may be exposed.
+ * @returns {Promise<Array<Object>>} The relationships: name, foreign key columns, referenced table,
+ *   referenced columns and schema, and whether the foreign key references the primary key.
+ */
+async function tableRelationships(driver, conn, schema, isVisible = () => true) {
+  if (schema.foreignKeys.length === 0) {
+    return [];
+  }
+  const tables = await driver.listTables(conn);
+  const taken = new Set(schema.columns.map(column => camelCase(column.name)));
+  const schemas = new Map([[schema.name, schema]]);
+  const relationships = [];
+
+  for (const foreignKey of schema.foreignKeys) {
+    const { referencedTable } = foreignKey;
+    // Foreign keys into other schemas or databases cannot be browsed through this API
+    if (!tables.includes(referencedTable) || !isVisible(referencedTable)) {
+      continue;
+    }
+    if (!schemas.has(referencedTable)) {
+      schemas.set(referencedTable, await driver.getTableSchema(conn, referencedTable));
+    }
+    const referencedSchema = schemas.get(referencedTable);
+    // SQLite leaves the referenced columns unnamed when a foreign key references the primary key implicitly
+    const referencedColumns = foreignKey.referencedColumns.every(Boolean)
+      ? foreignKey.referencedColumns
+      : referencedSchema.primaryKey;
+    if (referencedSchema.primaryKey.length === 0 || referencedColumns.length !== foreignKey.columns.length) {
+      continue;
+    }
+
+    const name = relationshipName(foreignKey, taken);
+    taken.add(name);
+    relationships.push({
+      name,
+      foreignKey: foreignKey.name,
+      columns: foreignKey.columns,
+      referencedTable,
+      referencedColumns,
+      referencedSchema,
+      referencesPrimaryKey: referencedSchema.primaryKey.length === referencedColumns.length &&
+        referencedSchema.primaryKey.every(column => referencedColumns.includes(column))
+    });
+  }
+  return relationships;
+}
+
+/**
+ * Finds a relationship by name. Besides the name itself (camelCase or snake_case), the foreign key
+ * constraint name and, for single-column keys, the foreign key column are accepted.
+ *
+ * @param {Array<Object>} relationships - The relationships from tableRelationships.
+ * @param {string} name - The requested name.
+ * @returns {Object} The relationship.
+ * @throws {ApiError} A 404 error if the table has no such relationship.
+ */
+function requireRelationship(relationships, name) {
+  const found = relationships.find(relationship => relationship.foreignKey === name) ||
+    relationships.find(relationship => relationship.name === resolveColumn(name, relationships.map(r => r.name))) ||
+    relationships.find(relationship => relationship.columns.length === 1 && resolveColumn(name, relationship.columns));
+  if (!found) {
+    const available = relationships.length > 0 ? relationships.map(r => r.name).join(', ') : 'none';
+    throw new ApiError(404, 'Not Found', `Unknown relationship '${name}' (available: ${available})`);
+  }
+  return found;
+}
+
+/**
+ * Parses the JSON:API `include` parameter into the relationships to embed.
+ *
+ * @param {string} [include] - The `include` query parameter, a comma-separated list of relationship names.
+ * @param {Array<Object>} relationships - The relationships from tableRelationships.
+ * @returns {Array<Object>} The relationships to include.
+ * @throws {ApiError} If the parameter is malformed, nested or names an unknown relationship.
+ */
+function parseInclude(include, relationships) {
+  if (include === undefined || include === '') {
+    return [];
+  }
+  if (typeof include !== 'string') {
+    throw new ApiError(400, 'Bad Request', `'include' must be a comma-separated list of relationships`);
+  }
+  return include.split(',').map(path => {
+    if (path.includes('.')) {
+      throw new ApiError(400, 'Bad Request', `Nested include '${path}' is not supported; include direct relationships only`);
+    }
+    try {
+      return requireRelationship(relationships, path);
+    } catch (error) {
+      throw new ApiError(400, 'Bad Request', `Cannot include '${path}': ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Builds a lookup key for a tuple of column values.
+ *
+ * @param {Array} values - The values.
+ * @returns {string} The key.
+ */
+function tupleKey(values) {
+  return JSON.stringify(values.map(value => String(value)));
+}
+
+/**
+ * Fetches the rows referenced by a relationship from a set of rows.
+ *
+ * @param {Object} driver - The database driver.
+ * @param {Object} conn - A driver connection.
+ * @param {Object} relationship - The relationship.
+ * @param {Object[]} rows - The referencing rows.
+ * @returns {Promise<Map<string, Object>>} The referenced rows by tupleKey of their referenced column values.
+ */
+async function fetchReferencedRows(driver, conn, relationship, rows) {
+  const { columns, referencedColumns, referencedTable } = relationship;
+  const tuples = new Map();
+  for (const row of rows) {
+    const values = columns.map(column => row[column]);
+    if (values.every(value => value !== null && value !== undefined)) {
+      tuples.set(tupleKey(values), values);
+    }
+  }
+
+  const related = new Map();
+  const keys = [...tuples.values()];
+  for (let start = 0; start < keys.length; start += LOOKUP_BATCH_SIZE) {
+    const batch = keys.slice(start, start + LOOKUP_BATCH_SIZE);
+    const match = referencedColumns.map(column => `${driver.quoteIdentifier(column)} = ?`).join(' AND ');
+    const where = referencedColumns.length === 1
+      ? `${driver.quoteIdentifier(referencedColumns[0])} IN (${batch.map(() => '?').join(', ')})`
+      : batch.map(() => `(${match})`).join(' OR ');
+    const found = await conn.query(`SELECT * FROM ${driver.quoteIdentifier(referencedTable)} WHERE ${where}`, batch.flat());
+    for (const row of found) {
+      related.set(tupleKey(referencedColumns.map(column => row[column])), row);
+    }
+  }
+  return related;
+}
+
+/**
+ * Adds the relationships of rows to their serialized JSON:API document, and embeds the included
+ * relationships' rows in `included`. Each relationship has resource linkage (null if the foreign key is NULL),
+ * a `self` link to its relationship endpoint and a `related` link to the referenced row.
+ *
+ * @param {Object} driver - The database driver.
+ * @param {Object} conn - A driver connection.
+ * @param {Object} document - The document from serializeRows; modified in place.
+ * @param {Object[]} rows - The rows the document was serialized from, in the same order.
+ * @param {Object} options
+ * @param {string} options.tableName - The table of the rows.
+ * @param {Array<Object>} options.relationships - The relationships from tableRelationships.
+ * @param {Array<Object>} [options.include=[]] - The relationships whose rows to embed.
+ * @param {string} [options.basePath='/api'] - The path the links start from, e.g. /api/databases/staging.
+ * @returns {Promise<Object>} The document.
+ */
+async function addRelationships(driver, conn, document, rows, { tableName, relationships, include = [], basePath = '/api' }) {
+  if (relationships.length === 0) {
+    return document;
+  }
+  const resources = Array.isArray(document.data) ? document.data : [document.data];
+  const included = new Map();
+
+  for (const relationship of relationships) {
+    const { name, columns, referencedColumns, referencedTable, referencedSchema } = relationship;
+    const embed = include.includes(relationship);
+    // Linkage to a primary key can be computed from the foreign key alone; anything else needs the referenced rows
+    const related = embed || !relationship.referencesPrimaryKey
+      ? await fetchReferencedRows(driver, conn, relationship, rows)
+      : null;
+    const type = resourceType(referencedTable);
+
+    rows.forEach((row, i) => {
+      const values = columns.map(column => row[column]);
+      let target = null;
+      if (values.every(value => value !== null && value !== undefined)) {
+        target = related
+          ? related.get(tupleKey(values)) || null
+          : Object.fromEntries(referencedColumns.map((column, j) => [column, values[j]]));
+      }
+      const id = target ? encodeRowId(target, referencedSchema.primaryKey) : null;
+
+      const resource = resources[i];
+      const links = {};
+      if (resource.id !== undefined) {
+        links.self = `${basePath}/tables/${encodeURIComponent(tableName)}/${encodeURIComponent(resource.id)}/relationships/${name}`;
+      }
+      links.related = id !== null ? `${basePath}/tables/${encodeURIComponent(referencedTable)}/${encodeURIComponent(id)}` : null;
+      resource.relationships = resource.relationships || {};
+      resource.relationships[name] = { links, data: id !== null ? { type, id } : null };
+
+      if (embed && target && !included.has(`${type}/${id}`)) {
+        included.set(`${type}/${id}`, serializeRows(referencedTable, target, {
+          primaryKey: referencedSchema.primaryKey,
+          types: columnTypes(referencedSchema.columns)
+        }).data);
+      }
+    });
+  }
+
+  if (include.length > 0) {
+    document.included = [...included.values()];
+  }
+  return document;
+}
+
+module.exports = {
+  camelCase,
+  tupleKey,
+  tableRelationships,
+  requireRelationship,
+  parseInclude,
+  fetchReferencedRows,
+  addRelationships
+};
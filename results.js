@@ -0,0 +1,55 @@
+const { Serializer } = require('jsonapi-serializer');
+const { processRow, serializeRows } = require('./rows');
+const { columnTypes } = require('./types');
+
+/**
+ * Builds the attributes describing one statement result from a driver's `execute`: the columns and
+ * rows of a result set, or the number of affected rows and the insert id of any other statement.
+ *
+ * @param {Object} result - `{ columns, rows }` or `{ affectedRows, insertId }`.
+ * @returns {Object} `{ columns, rowCount, rows }` or `{ affectedRows, insertId }`, safe to serialize.
+ */
+function statementResult(result) {
+  if (result.rows) {
+    const types = columnTypes(result.columns);
+    return { columns: result.columns, rowCount: result.rows.length, rows: result.rows.map(row => processRow(row, types)) };
+  }
+  return processRow({ affectedRows: result.affectedRows, insertId: result.insertId });
+}
+
+/**
+ * Serializes the outcome of a SQL console query as a JSON:API document, by what the query returned:
+ *
+ * - a result set: one resource per row, with the columns (name, SQL type, nullable, source table) and
+ *   the row count in meta, so clients can type the columns even when there are no rows
+ * - any other statement: a meta-only document with `affectedRows` and `insertId`
+ * - several statements: one `statement-results` resource per statement, as statementResult describes
+ *
+ * Warnings and the given meta (such as the execution time) are added to the top-level meta.
+ *
+ * @param {{results: Array<Object>, warnings: Array<Object>}} execution - The outcome from `execute`.
+ * @param {Object} meta - Top-level meta information.
+ * @returns {Object} The JSON:API document.
+ */
+function serializeQueryResults({ results, warnings }, meta) {
+  const [first] = results;
+  if (results.length === 1 && first.rows) {
+    return serializeRows('query-result', first.rows, {
+      attributes: first.columns.map(column => column.name),
+      types: columnTypes(first.columns),
+      meta: { ...meta, columns: first.columns, rowCount: first.rows.length, warnings }
+    });
+  }
+  if (results.length === 1) {
+    return { meta: { ...meta, ...statementResult(first), warnings } };
+  }
+
+  const serializer = new Serializer('statement-result', {
+    attributes: ['columns', 'rowCount', 'rows', 'affectedRows', 'insertId'],
+    keyForAttribute: 'camelCase',
+    meta: { ...meta, statementCount: results.length, warnings }
+  });
+  return serializer.serialize(results.map((result, i) => ({ id: String(i + 1), ...statementResult(result) })));
+}
+
+module.exports = { statementResult, serializeQueryResults };
@@ -0,0 +1,235 @@
+const { Serializer } = require('jsonapi-serializer');
+const { ApiError } = require('./errors');
+const { resolveColumn } = require('./filters');
+const { toJsonValue } = require('./types');
+
+// Record key holding the JSON:API id; a symbol so it can never collide with a column name
+const ROW_ID = Symbol('rowId');
+
+/**
+ * Converts the values of a row to their JSON form (see toJsonValue in types.js).
+ *
+ * @param {Object} row - A row as returned by the driver.
+ * @param {Object<string, string>} [types={}] - The SQL type of each column, by name (see columnTypes).
+ * @returns {Object} A copy of the row safe to serialize.
+ */
+function processRow(row, types = {}) {
+  const processed = {};
+  for (const [key, value] of Object.entries(row)) {
+    processed[key] = toJsonValue(value, types[key]);
+  }
+  return processed;
+}
+
+/**
+ * Builds the JSON:API id of a row from its primary key.
+ * Composite keys are joined with commas, each part URI-encoded so it may itself contain commas.
+ *
+ * @param {Object} row - The row.
+ * @param {string[]} primaryKey - The primary key columns.
+ * @returns {string|undefined} The id, or undefined if the table has no primary key.
+ */
+function encodeRowId(row, primaryKey) {
+  if (primaryKey.length === 0) {
+    return undefined;
+  }
+  if (primaryKey.length === 1) {
+    return String(row[primaryKey[0]]);
+  }
+  return primaryKey.map(column => encodeURIComponent(String(row[column]))).join(',');
+}
+
+/**
+ * Splits a JSON:API id back into primary key values.
+ *
+ * @param {string} id - The id from the URL or request document.
+ * @param {string[]} primaryKey - The primary key columns.
+ * @returns {string[]} The key values, in primary key column order.
+ * @throws {ApiError} If the id does not have one part per key column.
+ */
+function decodeRowId(id, primaryKey) {
+  if (primaryKey.length === 1) {
+    return [id];
+  }
+  const values = String(id).split(',').map(decodeURIComponent);
+  if (values.length !== primaryKey.length) {
+    throw new ApiError(400, 'Bad Request',
+      `Id '${id}' must have ${primaryKey.length} comma-separated parts (${primaryKey.join(', ')})`);
+  }
+  return values;
+}
+
+/**
+ * Returns the JSON:API resource type emitted for a table (the serializer pluralizes table names).
+ *
+ * @param {string} tableName - The table name.
+ * @returns {string} The resource type.
+ */
+function resourceType(tableName) {
+  return new Serializer(tableName, { attributes: [] }).serialize({ id: '' }).data.type;
+}
+
+/**
+ * Serializes table rows as a JSON:API document, using the primary key as resource id.
+ *
+ * @param {string} tableName - The table (or pseudo-table) name used as resource type.
+ * @param {Object|Object[]} rows - A single row or an array of rows.
+ * @param {Object} [options]
+ * @param {string[]} [options.primaryKey=[]] - The primary key columns; without one, a column named `id` is used if present.
+ * @param {string[]} [options.attributes] - The columns to emit as attributes (defaults to all columns of the first row).
+ * @param {Object<string, string>} [options.types] - The SQL type of each column, by name, for converting values.
+ * @param {Object} [options.meta] - Top-level meta information.
+ * @param {Object} [options.links] - Top-level links, e.g. pagination links.
+ * @returns {Object} The JSON:API document.
+ */
+function serializeRows(tableName, rows, { primaryKey = [], attributes, types, meta, links } = {}) {
+  const list = Array.isArray(rows) ? rows : [rows];
+  const records = list.map(row => {
+    const record = processRow(row, types);
+    record[ROW_ID] = primaryKey.length > 0 ? encodeRowId(record, primaryKey) : record.id;
+    return record;
+  });
+
+  const serializer = new Serializer(tableName, {
+    id: ROW_ID,
+    attributes: attributes || (records.length > 0 ? Object.keys(records[0]) : []),
+    keyForAttribute: 'camelCase',
+    topLevelLinks: links,
+    meta
+  });
+
+  return serializer.serialize(Array.isArray(rows) ? records : records[0]);
+}
+
+/**
+ * Builds a WHERE clause matching a row by its primary key values.
+ *
+ * @param {Object} driver - The database driver, for identifier quoting.
+ * @param {string[]} primaryKey - The primary key columns.
+ * @param {Array} values - The key values, in column order.
+ * @returns {{where: string, params: Array}} The WHERE clause and its parameters.
+ */
+function keyCondition(driver, primaryKey, values) {
+  return {
+    where: ` WHERE ${primaryKey.map(column => `${driver.quoteIdentifier(column)} = ?`).join(' AND ')}`,
+    params: [...values]
+  };
+}
+
+/**
+ * Ensures a table can be addressed by row, i.e. it has a primary key.
+ *
+ * @param {Object} schema - The table schema from getTableSchema.
+ * @throws {ApiError} If the table has no primary key.
+ */
+function requirePrimaryKey(schema) {
+  if (schema.primaryKey.length === 0) {
+    throw new ApiError(400, 'Bad Request',
+      `Table '${schema.name}' has no primary key, so its rows cannot be addressed individually`);
+  }
+}
+
+/**
+ * Fetches a single row by primary key.
+ *
+ * @param {Object} driver - The database driver.
+ * @param {Object} conn - A driver connection.
+ * @param {Object} schema - The table schema from getTableSchema.
+ * @param {Array} values - The primary key values.
+ * @returns {Promise<Object|undefined>} The row, or undefined if it does not exist.
+ */
+async function findRow(driver, conn, schema, values) {
+  const { where, params } = keyCondition(driver, schema.primaryKey, values);
+  const rows = await conn.query(`SELECT * FROM ${driver.quoteIdentifier(schema.name)}${where}`, params);
+  return rows[0];
+}
+
+/**
+ * Validates a JSON:API resource document for a table and maps its attributes to column values.
+ * Attribute names may be the column names or their camelCase form as emitted by the API.
+ *
+ * @param {Object} body - The parsed request body.
+ * @param {Object} schema - The table schema from getTableSchema.
+ * @returns {{id: string|undefined, values: Object}} The resource id (if any) and the column values.
+ * @throws {ApiError} If the document is malformed (400), names unknown columns (400) or has the wrong type (409).
+ */
+function readResourceDocument(body, schema) {
+  const data = body && body.data;
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new ApiError(400, 'Bad Request', 'Request body must be a JSON:API document with a single resource in "data"');
+  }
+  if (data.type !== undefined && data.type !== schema.name && data.type !== resourceType(schema.name)) {
+    throw new ApiError(409, 'Conflict', `Resource type '${data.type}' does not match table '${schema.name}'`);
+  }
+
+  const attributes = data.attributes || {};
+  if (typeof attributes !== 'object' || Array.isArray(attributes)) {
+    throw new ApiError(400, 'Bad Request', '"data.attributes" must be an object');
+  }
+
+  const columnNames = schema.columns.map(column => column.name);
+  const values = {};
+  for (const [name, value] of Object.entries(attributes)) {
+    const column = resolveColumn(name, columnNames);
+    if (!column) {
+      throw new ApiError(400, 'Bad Request', `Unknown attribute '${name}' for table '${schema.name}'`);
+    }
+    values[column] = value;
+  }
+
+  return {
+    id: data.id === undefined || data.id === null ? undefined : String(data.id),
+    values
+  };
+}
+
+/**
+ * Updates the given columns of a row identified by primary key.
+ *
+ * @param {Object} driver - The database driver.
+ * @param {Object} conn - A driver connection.
+ * @param {Object} schema - The table schema from getTableSchema.
+ * @param {Array} keyValues - The current primary key values.
+ * @param {Object} values - The column values to set.
+ * @returns {Promise<Array>} The primary key values after the update (they change if a key column was set).
+ */
+async function updateRow(driver, conn, schema, keyValues, values) {
+  const columns = Object.keys(values);
+  if (columns.length > 0) {
+    const { where, params } = keyCondition(driver, schema.primaryKey, keyValues);
+    const assignments = columns.map(column => `${driver.quoteIdentifier(column)} = ?`).join(', ');
+    await conn.query(
+      `UPDATE ${driver.quoteIdentifier(schema.name)} SET ${assignments}${where}`,
+      [...columns.map(column => values[column]), ...params]
+    );
+  }
+  return schema.primaryKey.map((column, i) => (values[column] !== undefined ? values[column] : keyValues[i]));
+}
+
+/**
+ * Deletes a row identified by primary key.
+ *
+ * @param {Object} driver - The database driver.
+ * @param {Object} conn - A driver connection.
+ * @param {Object} schema - The table schema from getTableSchema.
+ * @param {Array} keyValues - The primary key values.
+ * @returns {Promise<boolean>} Whether a row was deleted.
+ */
+async function deleteRow(driver, conn, schema, keyValues) {
+  const { where, params } = keyCondition(driver, schema.primaryKey, keyValues);
+  const result = await conn.query(`DELETE FROM ${driver.quoteIdentifier(schema.name)}${where}`, params);
+  return result.affectedRows > 0;
+}
+
+module.exports = {
+  processRow,
+  encodeRowId,
+  decodeRowId,
+  resourceType,
+  serializeRows,
+  requirePrimaryKey,
+  readResourceDocument,
+  findRow,
+  updateRow,
+  deleteRow
+};
@@ -0,0 +1,240 @@
+const { ApiError } = require('./errors');
+const { createDriver } = require('./drivers');
+
+// Kinds of schema objects besides tables, in the order a script creates them
+const OBJECT_KINDS = ['views', 'routines', 'triggers'];
+
+/**
+ * Reads the schema of a table that must exist.
+ *
+ * @param {Object} driver - The database driver.
+ * @param {Object} conn - A driver connection.
+ * @param {string} tableName - The name of the table.
+ * @returns {Promise<Object>} The table schema, as returned by the driver's getTableSchema.
+ * @throws {ApiError} A 404 error if the table does not exist.
+ */
+async function requireTableSchema(driver, conn, tableName) {
+  const allTables = await driver.listTables(conn);
+  if (!allTables.includes(tableName)) {
+    throw new ApiError(404, 'Not Found', `Table '${tableName}' not found`);
+  }
+  return driver.getTableSchema(conn, tableName);
+}
+
+/**
+ * Reads the whole schema of the connection's database: every table with its table schema and DDL,
+ * and the views, routines and triggers with theirs. Tables the engine reports no DDL for get the
+ * statements the driver builds from their table schema.
+ *
+ * @param {Object} driver - The database driver.
+ * @param {Object} conn - A driver connection.
+ * @returns {Promise<{engine: string, tables: Array<Object>, views: Array<Object>, routines: Array<Object>, triggers: Array<Object>}>}
+ *   The schema; `engine` is the driver name, which tells the dialect of the DDL.
+ */
+async function readDatabaseSchema(driver, conn) {
+  const objects = await driver.getSchemaObjects(conn);
+  const tables = [];
+  for (const table of objects.tables) {
+    const schema = await driver.getTableSchema(conn, table.name);
+    tables.push({ ...schema, ddl: table.ddl || driver.createTableStatements(schema) });
+  }
+  return { engine: driver.name, tables, views: objects.views, routines: objects.routines, triggers: objects.triggers };
+}
+
+/**
+ * Reads the schema of another database from its connection URI, opening it read-only for the time it
+ * takes. SQLite files are opened in read-only mode, so a wrong path is not created as an empty database.
+ *
+ * @param {string} uri - The connection URI of the other database.
+ * @returns {Promise<Object>} The schema, as readDatabaseSchema returns it, with the `database` name.
+ * @throws {ApiError} A 400 error if the URI is invalid, a 502 error if the database cannot be read.
+ */
+async function readSchemaFromUri(uri) {
+  let driver;
+  try {
+    const url = new URL(uri);
+    if (url.protocol === 'sqlite:') {
+      url.searchParams.set('mode', 'ro');
+    }
+    driver = createDriver(url.protocol === 'sqlite:' ? url.toString() : uri, { readOnly: true });
+  } catch (error) {
+    throw new ApiError(400, 'Bad Request', `Invalid 'uri': ${error.message}`);
+  }
+
+  let conn;
+  try {
+    conn = await driver.getConnection();
+    return { ...(await readDatabaseSchema(driver, conn)), database: driver.database };
+  } catch (error) {
+    throw new ApiError(502, 'Bad Gateway', `Could not read the schema of the other database: ${error.message}`);
+  } finally {
+    if (conn) await conn.release();
+    await driver.end();
+  }
+}
+
+/**
+ * Checks that a value is an array of objects with a string `name`.
+ *
+ * @param {*} value - The value.
+ * @param {string} path - Where the value is, for errors.
+ * @returns {Array<Object>} The value.
+ * @throws {ApiError} If it is not.
+ */
+function requireNamedList(value, path) {
+  if (!Array.isArray(value) || value.some(item => !item || typeof item !== 'object' || typeof item.name !== 'string')) {
+    throw new ApiError(400, 'Bad Request', `'${path}' must be an array of objects with a name`);
+  }
+  return value;
+}
+
+/**
+ * Checks that a value is a list of SQL statements, or absent.
+ *
+ * @param {*} value - The value.
+ * @param {string} path - Where the value is, for errors.
+ * @returns {string[]|null} The statements, or null if absent.
+ * @throws {ApiError} If it is not.
+ */
+function readStatements(value, path) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (!Array.isArray(value) || value.some(statement => typeof statement !== 'string')) {
+    throw new ApiError(400, 'Bad Request', `'${path}' must be an array of SQL statements`);
+  }
+  return value;
+}
+
+/**
+ * Reads a schema sent in a request: the document GET /api/schema returns, or its attributes. Missing
+ * details take the values a table schema has when it states nothing, so hand-written schemas may
+ * leave them out.
+ *
+ * @param {*} value - The schema from the request body.
+ * @returns {Object} The schema, in the form readDatabaseSchema returns.
+ * @throws {ApiError} If the schema is malformed.
+ */
+function readSchemaDocument(value) {
+  const schema = value && value.data && value.data.attributes ? value.data.attributes : value;
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    throw new ApiError(400, 'Bad Request', "'schema' must be a schema document as GET /api/schema returns it");
+  }
+  if (typeof schema.engine !== 'string') {
+    throw new ApiError(400, 'Bad Request', "'schema.engine' must name the engine the schema is from, e.g. mariadb");
+  }
+
+  const tables = requireNamedList(schema.tables, 'schema.tables').map((table, i) => {
+    const path = `schema.tables[${i}]`;
+    const columns = requireNamedList(table.columns, `${path}.columns`).map(column => ({
+      ...column,
+      type: column.type || column.columnType || '',
+      columnType: column.columnType || column.type || '',
+      nullable: column.nullable !== false,
+      default: column.default === undefined ? null : column.default,
+      autoIncrement: column.autoIncrement === true
+    }));
+    const primaryKey = table.primaryKey === undefined ? [] : table.primaryKey;
+    if (!Array.isArray(primaryKey) || primaryKey.some(name => !columns.some(column => column.name === name))) {
+      throw new ApiError(400, 'Bad Request', `'${path}.primaryKey' must list columns of the table`);
+    }
+    return {
+      ...table,
+      columns,
+      primaryKey,
+      indexes: requireNamedList(table.indexes || [], `${path}.indexes`).map(index => ({
+        ...index,
+        primary: index.primary === true,
+        unique: index.unique === true,
+        fulltext: index.fulltext === true,
+        columns: Array.isArray(index.columns) ? index.columns : []
+      })),
+      foreignKeys: requireNamedList(table.foreignKeys || [], `${path}.foreignKeys`).map(foreignKey => ({
+        ...foreignKey,
+        columns: Array.isArray(foreignKey.columns) ? foreignKey.columns : [],
+        referencedColumns: Array.isArray(foreignKey.referencedColumns) ? foreignKey.referencedColumns : []
+      })),
+      ddl: readStatements(table.ddl, `${path}.ddl`)
+    };
+  });
+
+  const objects = Object.fromEntries(OBJECT_KINDS.map(kind => [
+    kind,
+    requireNamedList(schema[kind] || [], `schema.${kind}`).map((object, i) => ({
+      ...object,
+      ddl: readStatements(object.ddl, `schema.${kind}[${i}].ddl`) || []
+    }))
+  ]));
+
+  return { engine: schema.engine, database: schema.database, tables, ...objects };
+}
+
+/**
+ * Orders tables so that every table comes after the tables its foreign keys reference, where
+ * references do not form a cycle.
+ *
+ * @param {Array<Object>} tables - Table schemas.
+ * @returns {Array<Object>} The tables, in creation order.
+ */
+function orderTables(tables) {
+  const ordered = [];
+  const visiting = new Set();
+  const visit = table => {
+    if (ordered.includes(table) || visiting.has(table)) {
+      return;
+    }
+    visiting.add(table);
+    table.foreignKeys.forEach(foreignKey => {
+      const referenced = tables.find(other => other.name === foreignKey.referencedTable);
+      if (referenced) visit(referenced);
+    });
+    ordered.push(table);
+  };
+  tables.forEach(visit);
+  return ordered;
+}
+
+/**
+ * Lists the statements creating a whole schema: the tables in foreign key order, then the views,
+ * routines and triggers.
+ *
+ * @param {Object} schema - The schema from readDatabaseSchema.
+ * @returns {string[]} The statements.
+ */
+function schemaStatements(schema) {
+  return [
+    ...orderTables(schema.tables).flatMap(table => table.ddl),
+    ...OBJECT_KINDS.flatMap(kind => schema[kind].flatMap(object => object.ddl))
+  ];
+}
+
+/**
+ * Formats statements as a SQL script. MariaDB routine and trigger bodies hold semicolons, so for
+ * MariaDB statements holding any are written between DELIMITER commands, as its command-line client
+ * expects.
+ *
+ * @param {string} dialect - The SQL dialect (a driver name).
+ * @param {string[]} statements - The statements, without terminators.
+ * @param {string[]} [comments=[]] - Lines written as comments at the top.
+ * @returns {string} The script.
+ */
+function formatScript(dialect, statements, comments = []) {
+  const lines = comments.map(comment => `-- ${comment}`);
+  statements.forEach(statement => {
+    lines.push('');
+    lines.push(dialect === 'mariadb' && statement.includes(';')
+      ? `DELIMITER ;;\n${statement};;\nDELIMITER ;`
+      : `${statement};`);
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  requireTableSchema,
+  readDatabaseSchema,
+  readSchemaFromUri,
+  readSchemaDocument,
+  orderTables,
+  schemaStatements,
+  formatScript
+};
@@ -0,0 +1,201 @@
+const { ApiError } = require('./errors');
+const { encodeRowId } = require('./rows');
+const { isTextType, toJsonValue } = require('./types');
+
+// Matches returned per table by default, and at most
+const DEFAULT_SEARCH_LIMIT = 20;
+const MAX_SEARCH_LIMIT = 100;
+
+// Time a whole search may take by default, and at most, in milliseconds
+const DEFAULT_SEARCH_TIMEOUT = 10000;
+const MAX_SEARCH_TIMEOUT = 60000;
+
+// Longest search text, and the length of the excerpt shown for a long matching value
+const MAX_SEARCH_LENGTH = 200;
+const EXCERPT_LENGTH = 120;
+
+// Resolution of a table search that ran out of time
+const TIMED_OUT = Symbol('timedOut');
+
+/**
+ * Parses a positive integer query parameter.
+ *
+ * @param {*} value - The raw value, undefined if absent.
+ * @param {string} name - The parameter name, for errors.
+ * @param {number} defaultValue - The value when absent.
+ * @param {number} max - The largest value allowed.
+ * @returns {number} The value.
+ * @throws {ApiError} If the value is not an integer from 1 to max.
+ */
+function parseBoundedInteger(value, name, defaultValue, max) {
+  if (value === undefined) {
+    return defaultValue;
+  }
+  const number = Number(value);
+  if (typeof value !== 'string' || !/^\d+$/.test(value) || number < 1 || number > max) {
+    throw new ApiError(400, 'Bad Request', `Parameter '${name}' must be an integer from 1 to ${max}`);
+  }
+  return number;
+}
+
+/**
+ * Reads the parameters of a search request: the text (`q`), the tables to search (`tables`, a
+ * comma-separated list or repeated parameter), the matches per table (`limit`) and the time the whole
+ * search may take (`timeout`, in milliseconds).
+ *
+ * @param {Object} query - The parsed query string.
+ * @returns {{text: string, tables: (string[]|null), limit: number, timeout: number}} The options;
+ *   tables is null when every table should be searched.
+ * @throws {ApiError} If a parameter is missing or invalid.
+ */
+function parseSearchOptions(query) {
+  const { q, tables } = query;
+  if (typeof q !== 'string' || q.trim() === '') {
+    throw new ApiError(400, 'Bad Request', "Missing search text: give it in the 'q' parameter");
+  }
+  if (q.length > MAX_SEARCH_LENGTH) {
+    throw new ApiError(400, 'Bad Request', `The search text is longer than ${MAX_SEARCH_LENGTH} characters`);
+  }
+
+  let tableNames = null;
+  if (tables !== undefined) {
+    const values = Array.isArray(tables) ? tables : [tables];
+    if (values.some(value => typeof value !== 'string')) {
+      throw new ApiError(400, 'Bad Request', "Parameter 'tables' must be a comma-separated list of table names");
+    }
+    tableNames = [...new Set(values.flatMap(value => value.split(',')).map(name => name.trim()).filter(Boolean))];
+  }
+
+  return {
+    text: q.trim(),
+    tables: tableNames,
+    limit: parseBoundedInteger(query.limit, 'limit', DEFAULT_SEARCH_LIMIT, MAX_SEARCH_LIMIT),
+    timeout: parseBoundedInteger(query.timeout, 'timeout', DEFAULT_SEARCH_TIMEOUT, MAX_SEARCH_TIMEOUT)
+  };
+}
+
+/**
+ * Shortens a long matching value to the part around the first match.
+ *
+ * @param {string} value - The value.
+ * @param {number} position - Where the match starts, or -1 if it was found by the fulltext index only.
+ * @returns {string} The value, or an excerpt with `…` marking the cut ends.
+ */
+function excerpt(value, position) {
+  if (value.length <= EXCERPT_LENGTH) {
+    return value;
+  }
+  const start = Math.max(0, Math.min(position - EXCERPT_LENGTH / 3, value.length - EXCERPT_LENGTH));
+  const end = start + EXCERPT_LENGTH;
+  return `${start > 0 ? '…' : ''}${value.slice(start, end)}${end < value.length ? '…' : ''}`;
+}
+
+/**
+ * Searches the text columns of one table: the columns of its fulltext indexes through the index, the
+ * other text columns with a case-insensitive LIKE.
+ *
+ * @param {Object} driver - The database driver.
+ * @param {Object} conn - A driver connection.
+ * @param {Object} schema - The table schema from getTableSchema.
+ * @param {Object} options
+ * @param {string} options.text - The search text.
+ * @param {number} options.limit - The most matches to return.
+ * @returns {Promise<Object|null>} The table's result: the columns searched, the matches (row id,
+ *   matching columns and their values) and whether there were more; null if the table has no text columns.
+ */
+async function searchTable(driver, conn, schema, { text, limit }) {
+  const fullTextIndexes = schema.indexes.filter(index => index.fulltext);
+  const fullTextColumns = [...new Set(fullTextIndexes.flatMap(index => index.columns))];
+  const likeColumns = schema.columns
+    .filter(column => isTextType(column.columnType || column.type) && !fullTextColumns.includes(column.name))
+    .map(column => column.name);
+  const searchedColumns = [...fullTextColumns, ...likeColumns];
+  if (searchedColumns.length === 0) {
+    return null;
+  }
+
+  const params = [];
+  const conditions = [
+    ...fullTextIndexes.map(index => `(${driver.fullTextCondition(schema, index, text, params)})`),
+    ...likeColumns.map(column => driver.containsCondition(column, text, params))
+  ];
+  const selected = [...new Set([...schema.primaryKey, ...searchedColumns])];
+  // One row more than the limit tells whether there are more matches
+  const page = driver.paginate(0, limit + 1);
+  const rows = await conn.query(
+    `SELECT ${selected.map(driver.quoteIdentifier).join(', ')} FROM ${driver.quoteIdentifier(schema.name)}` +
+    ` WHERE ${conditions.join(' OR ')}${page.sql}`,
+    [...params, ...page.params]
+  );
+
+  const types = Object.fromEntries(schema.columns.map(column => [column.name, column.columnType || column.type]));
+  const lowerText = text.toLowerCase();
+  const matches = rows.slice(0, limit).map(row => {
+    // The columns holding the text; a fulltext match may be on a stemmed word instead
+    let columns = searchedColumns.filter(column => row[column] !== null &&
+      String(row[column]).toLowerCase().includes(lowerText));
+    if (columns.length === 0) {
+      columns = fullTextColumns.filter(column => row[column] !== null && row[column] !== undefined);
+    }
+    return {
+      id: encodeRowId(row, schema.primaryKey) || null,
+      columns,
+      values: Object.fromEntries(columns.map(column => {
+        const value = toJsonValue(row[column], types[column]);
+        return [column, typeof value === 'string' ? excerpt(value, value.toLowerCase().indexOf(lowerText)) : value];
+      }))
+    };
+  });
+
+  return {
+    table: schema.name,
+    searchedColumns,
+    fullTextColumns,
+    matches,
+    matchCount: matches.length,
+    truncated: rows.length > limit
+  };
+}
+
+/**
+ * Searches tables one after the other until all are searched or the time is up. A table search cut
+ * off by the timeout keeps running in the database; `pending` settles when it ends, and the
+ * connection must not be released before.
+ *
+ * @param {Object} driver - The database driver.
+ * @param {Object} conn - A driver connection.
+ * @param {string[]} tableNames - The tables to search, which must exist.
+ * @param {Object} options - The options from parseSearchOptions.
+ * @returns {Promise<{results: Array<Object>, searchedTables: number, skippedTables: string[], pending: Promise}>}
+ *   The results of the tables with matches, the number of tables searched, the tables left out by
+ *   the timeout, and the search still running.
+ */
+async function searchTables(driver, conn, tableNames, { text, limit, timeout }) {
+  const deadline = Date.now() + timeout;
+  const results = [];
+  let pending = Promise.resolve();
+
+  for (const [i, tableName] of tableNames.entries()) {
+    const remaining = deadline - Date.now();
+    const work = remaining > 0
+      ? driver.getTableSchema(conn, tableName).then(schema => searchTable(driver, conn, schema, { text, limit }))
+      : null;
+    let timer;
+    const outcome = work && await Promise.race([
+      work,
+      new Promise(resolve => { timer = setTimeout(resolve, remaining, TIMED_OUT); })
+    ]);
+    clearTimeout(timer);
+
+    if (!work || outcome === TIMED_OUT) {
+      if (work) pending = work.catch(() => {});
+      return { results, searchedTables: i, skippedTables: tableNames.slice(i), pending };
+    }
+    if (outcome && outcome.matchCount > 0) {
+      results.push(outcome);
+    }
+  }
+  return { results, searchedTables: tableNames.length, skippedTables: [], pending };
+}
+
+module.exports = { parseSearchOptions, searchTables };
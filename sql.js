@@ -1,5 +1,7 @@
 const process = require('process');
 var server=require('./server.js')
+const { loadAuthConfig } = require('./auth');
+const { USAGE, parseCliArgs, loadConfigFile, resolveOptions } = require('./config');
 /**
  * Prompts the user for input securely, masking typed characters with asterisks.
  * @param {string} query The prompt message to display.
@@ -75,20 +77,54 @@ function promptPassword(query = 'Password: ') {
 }
 
 async function runCli() {
+  // Gather the options before anything else, so a broken flag or file fails fast
+  let options, auth = null;
   try {
-
-    const enteredPassword = await promptPassword('Please enter DB URI:');
-	  server.startServer(enteredPassword);
-
-
-
+    const args = parseCliArgs(process.argv.slice(2));
+    if (args.help) {
+      console.log(USAGE);
+      return;
+    }
+    const config = args.config !== undefined ? loadConfigFile(args.config) : {};
+    options = resolveOptions(args, process.env, config);
+    if (options.authFile !== undefined) {
+      auth = loadAuthConfig(options.authFile);
+    }
   } catch (error) {
-    console.error('\nAn error occurred during password prompt:', error);
-  } finally {
-      if (process.stdin.isTTY && !process.stdin.isPaused()) {
-          process.stdin.pause();
+    console.error(`FATAL: ${error.message}`);
+    console.error('Run with --help for usage.');
+    process.exit(1);
+  }
+
+  let uri = options.uri;
+  if (uri === undefined) {
+    // Prompting would block startup under a service manager or in a container, so only ask on a terminal
+    if (!process.stdin.isTTY) {
+      console.error('FATAL: No database URI given. Pass --uri or --uri-file, set SQLBROWSER_URI or use --config.');
+      process.exit(1);
+    }
+    try {
+      uri = await promptPassword('Please enter DB URI:');
+    } catch (error) {
+      console.error('\nAn error occurred during password prompt:', error);
+      process.exit(1);
+    } finally {
+      if (!process.stdin.isPaused()) {
+        process.stdin.pause();
       }
+    }
   }
+
+  server.startServer(uri, {
+    host: options.host,
+    port: options.port,
+    readOnly: options.readOnly,
+    allowStatements: options.allowStatements,
+    savedQueriesFile: options.savedQueriesFile,
+    auditLogFile: options.auditLogFile,
+    cacheTtl: options.cacheTtl,
+    auth
+  });
 }
 
 runCli();
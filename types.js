@@ -0,0 +1,275 @@
+// Binary values up to this size are inlined in JSON as base64; larger ones are downloaded from the raw endpoint
+const MAX_INLINE_BINARY_BYTES = 64 * 1024;
+
+// Type categories by SQL type name, as reported by the drivers' table schemas and query metadata.
+// Date-times with a time zone are absolute instants; those without stay local date-times.
+const TYPE_CATEGORIES = [
+  ['decimal', /^(decimal|numeric|dec|fixed|money)\b/],
+  ['timestamptz', /^timestamptz\b|with time zone/],
+  ['date', /^date$/],
+  ['datetime', /^(datetime|timestamp)\b/],
+  ['json', /^jsonb?\b/],
+  ['geometry', /^(geometry|geography|point|linestring|polygon|multipoint|multilinestring|multipolygon|geometrycollection)\b/],
+  ['binary', /^(bytea|blob|tinyblob|mediumblob|longblob|binary|varbinary)\b/]
+];
+
+// Types holding text, which a search compares with LIKE
+const TEXT_TYPE = /^(char|varchar|character|nchar|nvarchar|national|text|tinytext|mediumtext|longtext|ntext|clob|citext|enum|set)\b/;
+
+// Leading bytes of common file formats, for the content type of binary downloads
+const SIGNATURES = [
+  { bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a], contentType: 'image/png', extension: 'png' },
+  { bytes: [0xff, 0xd8, 0xff], contentType: 'image/jpeg', extension: 'jpg' },
+  { bytes: [0x47, 0x49, 0x46, 0x38], contentType: 'image/gif', extension: 'gif' },
+  { bytes: [0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x45, 0x42, 0x50], contentType: 'image/webp', extension: 'webp' },
+  { bytes: [0x42, 0x4d], contentType: 'image/bmp', extension: 'bmp' },
+  { bytes: [0x25, 0x50, 0x44, 0x46, 0x2d], contentType: 'application/pdf', extension: 'pdf' },
+  { bytes: [0x50, 0x4b, 0x03, 0x04], contentType: 'application/zip', extension: 'zip' },
+  { bytes: [0x1f, 0x8b], contentType: 'application/gzip', extension: 'gz' },
+  { bytes: [0x49, 0x44, 0x33], contentType: 'audio/mpeg', extension: 'mp3' },
+  { bytes: [0x4f, 0x67, 0x67, 0x53], contentType: 'audio/ogg', extension: 'ogg' },
+  { bytes: [null, null, null, null, 0x66, 0x74, 0x79, 0x70], contentType: 'video/mp4', extension: 'mp4' }
+];
+
+// GeoJSON types by WKB geometry type code
+const WKB_TYPES = ['Point', 'LineString', 'Polygon', 'MultiPoint', 'MultiLineString', 'MultiPolygon', 'GeometryCollection'];
+
+/**
+ * Returns the category of a SQL type that needs converting for JSON.
+ *
+ * @param {string} [type] - The SQL type name, e.g. `decimal(10,2)` or `timestamp with time zone`.
+ * @returns {string|null} decimal, timestamptz, date, datetime, json, geometry or binary; null for other types.
+ */
+function typeCategory(type) {
+  if (!type) {
+    return null;
+  }
+  const name = String(type).trim().toLowerCase();
+  const found = TYPE_CATEGORIES.find(([, pattern]) => pattern.test(name));
+  return found ? found[0] : null;
+}
+
+/**
+ * Returns whether a SQL type holds text.
+ *
+ * @param {string} [type] - The SQL type name, e.g. `varchar(100)` or `character varying`.
+ * @returns {boolean} Whether the type is a character, text, enum or set type.
+ */
+function isTextType(type) {
+  return Boolean(type) && TEXT_TYPE.test(String(type).trim().toLowerCase());
+}
+
+/**
+ * Maps the columns of a table schema or query result to their SQL types.
+ *
+ * @param {Array<{name: string, type: string, columnType: (string|undefined)}>} columns - The columns.
+ * @returns {Object<string, string>} The type of each column, by name.
+ */
+function columnTypes(columns) {
+  return Object.fromEntries(columns.map(column => [column.name, column.columnType || column.type]));
+}
+
+/**
+ * Guesses the content type of binary data from its leading bytes.
+ *
+ * @param {Uint8Array} bytes - The data.
+ * @returns {{contentType: string, extension: string}} The content type, application/octet-stream if unknown.
+ */
+function sniffContentType(bytes) {
+  const found = SIGNATURES.find(signature => signature.bytes.length <= bytes.length &&
+    signature.bytes.every((byte, i) => byte === null || bytes[i] === byte));
+  return found
+    ? { contentType: found.contentType, extension: found.extension }
+    : { contentType: 'application/octet-stream', extension: 'bin' };
+}
+
+/**
+ * Decodes a geometry in Well-Known Binary, including PostGIS's extended WKB (with SRID) and the
+ * Z and M variants, to GeoJSON. M values are dropped, since GeoJSON has no place for them.
+ *
+ * @param {Uint8Array} bytes - The WKB.
+ * @returns {Object} The GeoJSON geometry.
+ * @throws {Error} If the bytes are not valid WKB.
+ */
+function wkbToGeoJson(bytes) {
+  const buffer = Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let offset = 0;
+
+  const readGeometry = () => {
+    const littleEndian = buffer.readUInt8(offset) === 1;
+    offset += 1;
+    const readUInt32 = () => {
+      const value = littleEndian ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset);
+      offset += 4;
+      return value;
+    };
+    const readDouble = () => {
+      const value = littleEndian ? buffer.readDoubleLE(offset) : buffer.readDoubleBE(offset);
+      offset += 8;
+      return value;
+    };
+
+    let code = readUInt32();
+    // Extended WKB flags the Z and M dimensions and a leading SRID in the high bits
+    let hasZ = (code & 0x80000000) !== 0;
+    let hasM = (code & 0x40000000) !== 0;
+    if (code & 0x20000000) {
+      readUInt32();
+    }
+    code &= 0x0fffffff;
+    // ISO WKB adds 1000 for Z, 2000 for M and 3000 for both
+    if (code > 1000) {
+      const dimensions = Math.floor(code / 1000);
+      hasZ = hasZ || dimensions === 1 || dimensions === 3;
+      hasM = hasM || dimensions === 2 || dimensions === 3;
+      code %= 1000;
+    }
+    const type = WKB_TYPES[code - 1];
+    if (!type) {
+      throw new Error(`Unsupported WKB geometry type ${code}`);
+    }
+
+    const readPosition = () => {
+      const position = [readDouble(), readDouble()];
+      if (hasZ) position.push(readDouble());
+      if (hasM) readDouble();
+      return position;
+    };
+    const readList = readItem => Array.from({ length: readUInt32() }, readItem);
+
+    switch (type) {
+      case 'Point':
+        return { type, coordinates: readPosition() };
+      case 'LineString':
+        return { type, coordinates: readList(readPosition) };
+      case 'Polygon':
+        return { type, coordinates: readList(() => readList(readPosition)) };
+      case 'GeometryCollection':
+        return { type, geometries: readList(readGeometry) };
+      default:
+        // Multi geometries hold complete WKB geometries of the matching single type
+        return { type, coordinates: readList(() => readGeometry().coordinates) };
+    }
+  };
+
+  const geometry = readGeometry();
+  if (offset !== buffer.length) {
+    throw new Error('Unexpected bytes after the WKB geometry');
+  }
+  return geometry;
+}
+
+/**
+ * Describes a binary value for JSON: its size, sniffed content type and base64 content, which is
+ * null when the value is larger than MAX_INLINE_BINARY_BYTES.
+ *
+ * @param {Uint8Array} bytes - The value.
+ * @returns {{size: number, contentType: string, base64: (string|null)}} The description.
+ */
+function binaryValue(bytes) {
+  const buffer = Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  return {
+    size: buffer.length,
+    contentType: sniffContentType(buffer).contentType,
+    base64: buffer.length <= MAX_INLINE_BINARY_BYTES ? buffer.toString('base64') : null
+  };
+}
+
+/**
+ * Formats a date-time read as text (`2024-05-01 13:45:00.5+02`) as ISO 8601 (`2024-05-01T13:45:00.5+02:00`).
+ * Values without an offset stay local date-times, as stored.
+ *
+ * @param {string} text - The date-time.
+ * @returns {string} The ISO 8601 date-time, or the text unchanged if it is not a date-time.
+ */
+function isoDateTime(text) {
+  const match = /^(\d{4,}-\d{2}-\d{2})[ T](\d{2}:\d{2}:\d{2}(?:\.\d+)?)(Z|[+-]\d{2}(?::?\d{2})?)?$/.exec(text);
+  if (!match) {
+    return text;
+  }
+  const [, date, time, offset = ''] = match;
+  const zone = /^[+-]\d{2}$/.test(offset) ? `${offset}:00` : offset.replace(/^([+-]\d{2})(\d{2})$/, '$1:$2');
+  return `${date}T${time}${zone}`;
+}
+
+/**
+ * Converts a column value to its JSON form, the same for table data, query results and exports:
+ *
+ * - BIGINTs and decimals as strings, so no precision is lost
+ * - dates as `YYYY-MM-DD` and date-times as ISO 8601, with an offset only for values that have a time zone
+ * - JSON columns parsed
+ * - geometries as GeoJSON
+ * - binary values as `{ size, contentType, base64 }`, or as plain base64 for exports
+ *
+ * @param {*} value - The value as returned by the driver.
+ * @param {string} [type] - The SQL type of the column, when known; values are converted by their
+ *   JavaScript type alone otherwise.
+ * @param {Object} [options]
+ * @param {boolean} [options.base64Binary=false] - Write binary values as complete base64 strings.
+ * @returns {*} The JSON value.
+ */
+function toJsonValue(value, type, { base64Binary = false } = {}) {
+  if (value === null || value === undefined) {
+    return value;
+  }
+  const category = typeCategory(type);
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+  if (value instanceof Date) {
+    if (category === 'date') {
+      const pad = number => String(number).padStart(2, '0');
+      return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+    }
+    return value.toISOString();
+  }
+  if (value instanceof Uint8Array) {
+    if (category === 'geometry') {
+      try {
+        return wkbToGeoJson(value);
+      } catch (error) {
+        // Not WKB (e.g. a SpatiaLite blob): shown as binary
+      }
+    }
+    return base64Binary ? Buffer.from(value).toString('base64') : binaryValue(value);
+  }
+  if (typeof value === 'number' && category === 'decimal') {
+    return String(value);
+  }
+  if (typeof value === 'string') {
+    switch (category) {
+      case 'json':
+        try {
+          return JSON.parse(value);
+        } catch (error) {
+          return value;
+        }
+      case 'geometry':
+        // PostgreSQL sends PostGIS geometries as hex-encoded extended WKB
+        if (/^(?:[0-9a-f]{2})+$/i.test(value)) {
+          try {
+            return wkbToGeoJson(Buffer.from(value, 'hex'));
+          } catch (error) {
+            return value;
+          }
+        }
+        return value;
+      case 'datetime':
+      case 'timestamptz':
+        return isoDateTime(value);
+      default:
+        return value;
+    }
+  }
+  return value;
+}
+
+module.exports = {
+  MAX_INLINE_BINARY_BYTES,
+  typeCategory,
+  isTextType,
+  columnTypes,
+  sniffContentType,
+  wkbToGeoJson,
+  toJsonValue
+};